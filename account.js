@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { usersModel, AuthToken } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { revokeAllSessions } = require('./sessions.js');
+const { sendMail, verificationEmail, passwordResetEmail, passwordChangedEmail } = require('./mailer.js');
+
+// Hashes made with a lower cost (early accounts used 5) are redone at the next sign-in
+const BCRYPT_COST = Number(process.env.BCRYPT_COST) || 12;
+// After this many failed sign-ins in a row the account is locked, for a minute at first
+// and twice as long after every further failure, up to an hour
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// The same answer for an unknown username and a wrong password
+const INVALID_LOGIN = 'Invalid username or password';
+const TOKEN_TTL_MS = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_COST);
+
+// Check a password against the user's hash, rehashing it at the current cost if it is weaker
+async function verifyPassword(user, password) {
+    if (!user.password || !await bcrypt.compare(password, user.password)) return false;
+    if (bcrypt.getRounds(user.password) < BCRYPT_COST) {
+        const upgraded = await hashPassword(password);
+        // Only replace the hash we checked, in case the password changed meanwhile
+        await usersModel.updateOne({ _id: user._id, password: user.password }, { $set: { password: upgraded } });
+    }
+    return true;
+}
+
+// Compared against when the username doesn't exist, so that takes as long as a wrong password
+let dummyHash = null;
+const getDummyHash = async () => dummyHash || (dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex')));
+
+const lockedError = (lockedUntil, now) => {
+    const minutes = Math.ceil((lockedUntil - now) / 60000);
+    const message = `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    return new ApiError(429, 'auth', message, [{ path: 'auth', message, code: 'account_locked' }]);
+};
+
+// Check a username and password. Resolves to the user; throws the generic error for bad
+// credentials, and locks the account with growing delays after repeated failures.
+async function authenticate(username, password, now = new Date()) {
+    const user = await usersModel.findOne({ username });
+    if (!user) {
+        await bcrypt.compare(password, await getDummyHash());
+        throw new ApiError(403, 'auth', INVALID_LOGIN);
+    }
+    if (user.lockedUntil && user.lockedUntil > now) throw lockedError(user.lockedUntil, now);
+
+    if (!await verifyPassword(user, password)) {
+        const failed = await usersModel.findOneAndUpdate({ _id: user._id }, { $inc: { failedLogins: 1 } }, { new: true });
+        const over = failed.failedLogins - LOCKOUT_THRESHOLD;
+        if (over >= 0) {
+            const lockedUntil = new Date(now.getTime() + Math.min(LOCKOUT_BASE_MS * 2 ** over, LOCKOUT_MAX_MS));
+            await usersModel.updateOne({ _id: user._id }, { $set: { lockedUntil } });
+            throw lockedError(lockedUntil, now);
+        }
+        throw new ApiError(403, 'auth', INVALID_LOGIN);
+    }
+
+    if (user.failedLogins || user.lockedUntil) {
+        await usersModel.updateOne({ _id: user._id }, { $set: { failedLogins: 0, lockedUntil: null } });
+    }
+    if (user.disabled) throw new ApiError(403, 'auth', 'This account has been disabled');
+    return user;
+}
+
+// New single-use token for `purpose`; any earlier unused ones for the same purpose stop working
+async function issueToken(user, purpose, extra = {}) {
+    const now = new Date();
+    await AuthToken.updateMany({ userId: user._id, purpose, usedAt: null }, { $set: { usedAt: now } });
+    const token = crypto.randomBytes(32).toString('base64url');
+    await AuthToken.create({
+        userId: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[purpose]),
+        ...extra
+    });
+    return token;
+}
+
+// Use up a token. Resolves to the token record, or throws if it is unknown, used or expired.
+async function consumeToken(token, purpose) {
+    const now = new Date();
+    const record = await AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+    if (!record) throw new ApiError(400, 'token', 'This link is invalid or has expired');
+    return record;
+}
+
+async function sendVerification(user) {
+    if (user.emailVerified) throw new ApiError(409, 'email', 'Your email is already verified');
+    const token = await issueToken(user, 'verify-email', { email: user.email });
+    await sendMail(verificationEmail(user, token));
+}
+
+// Mark the address the token was sent to as verified, if it is still the user's email
+async function verifyEmail(token) {
+    const record = await consumeToken(token, 'verify-email');
+    const user = await usersModel.findOneAndUpdate(
+        { _id: record.userId, email: record.email },
+        { $set: { emailVerified: true } },
+        { new: true }
+    );
+    if (!user) throw new ApiError(400, 'token', 'This link is for an email address you no longer use');
+    return user;
+}
+
+// Email a reset link if the address belongs to someone. Callers respond the same either
+// way, so this can't be used to find out who has an account.
+async function requestPasswordReset(email) {
+    const user = await usersModel.findOne({ email });
+    if (!user || user.disabled) return;
+    const token = await issueToken(user, 'reset-password');
+    await sendMail(passwordResetEmail(user, token));
+}
+
+// Clears any sign-in lockout too: a reset is how a locked-out user gets back in
+async function setPassword(user, password, keepSessionId = null) {
+    await usersModel.updateOne(
+        { _id: user._id },
+        { $set: { password: await hashPassword(password), passwordChangedAt: new Date(), failedLogins: 0, lockedUntil: null } }
+    );
+    await AuthToken.updateMany({ userId: user._id, purpose: 'reset-password', usedAt: null }, { $set: { usedAt: new Date() } });
+    await revokeAllSessions(user._id, 'password-changed', keepSessionId);
+    await sendMail(passwordChangedEmail(user)).catch(e => console.error('Password changed email failed:', e));
+}
+
+// Set a new password from a reset link. Every device is signed out.
+async function resetPassword(token, password) {
+    const record = await consumeToken(token, 'reset-password');
+    const user = await usersModel.findById(record.userId);
+    if (!user || user.disabled) throw new ApiError(400, 'token', 'This link is invalid or has expired');
+    await setPassword(user, password);
+    // Following the emailed link proves the address too
+    if (!user.emailVerified) await usersModel.updateOne({ _id: user._id }, { $set: { emailVerified: true } });
+}
+
+// Change the password while signed in; other devices are signed out, this one stays
+async function changePassword(userId, sessionId, currentPassword, newPassword) {
+    const user = await usersModel.findById(userId);
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    if (!await verifyPassword(user, currentPassword)) {
+        throw new ApiError(403, 'currentPassword', 'Current password is incorrect');
+    }
+    await setPassword(user, newPassword, sessionId);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    authenticate,
+    sendVerification,
+    verifyEmail,
+    requestPasswordReset,
+    resetPassword,
+    changePassword
+};
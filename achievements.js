@@ -0,0 +1,119 @@
+const { usersModel, Progress, QuizSession, Review, TopicMastery, UserAchievement } = require('./db.js');
+
+// Numbers achievements are judged on. `events` lists what can change each one, so a
+// Progress write doesn't recount reviews and so on.
+const METRICS = {
+    streak: {
+        events: ['streak'],
+        compute: async (userId) => {
+            const user = await usersModel.findById(userId).select('streak longestStreak');
+            return user ? Math.max(user.streak || 0, user.longestStreak || 0) : 0;
+        }
+    },
+    questionsAnswered: {
+        events: ['progress'],
+        compute: (userId) => Progress.countDocuments({ userId, isCorrect: { $ne: null }, questionId: { $ne: 'manual-lesson' } })
+    },
+    correctAnswers: {
+        events: ['progress'],
+        compute: (userId) => Progress.countDocuments({ userId, isCorrect: true, questionId: { $ne: 'manual-lesson' } })
+    },
+    // Completed topic lessons where every question was answered, and answered correctly
+    perfectLessons: {
+        events: ['session'],
+        compute: (userId) => QuizSession.countDocuments({
+            userId,
+            mode: 'learn',
+            status: 'completed',
+            'questions.0': { $exists: true },
+            questions: { $not: { $elemMatch: { isCorrect: { $ne: true } } } }
+        })
+    },
+    totalXP: {
+        events: ['progress', 'streak'],
+        compute: async (userId) => {
+            const user = await usersModel.findById(userId).select('totalXP');
+            return user ? user.totalXP || 0 : 0;
+        }
+    },
+    topicsStarted: {
+        events: ['progress'],
+        compute: (userId) => TopicMastery.countDocuments({ userId })
+    },
+    // Teacher reviews; reviews of marketplace contracts don't count
+    reviewsWritten: {
+        events: ['review'],
+        compute: (userId) => Review.countDocuments({ studentId: userId, contractId: null })
+    }
+};
+
+// Badges: earned once `metric` reaches `threshold`. Adding a badge is adding a line here.
+const ACHIEVEMENTS = [
+    { id: 'first-answer', name: 'First Steps', description: 'Answer your first question', icon: '👣', metric: 'questionsAnswered', threshold: 1 },
+    { id: 'answers-100', name: 'Centurion', description: 'Answer 100 questions', icon: '💯', metric: 'questionsAnswered', threshold: 100 },
+    { id: 'answers-500', name: 'Question Crusher', description: 'Answer 500 questions', icon: '🏋️', metric: 'questionsAnswered', threshold: 500 },
+    { id: 'correct-50', name: 'Sharp Mind', description: 'Get 50 answers right', icon: '🎯', metric: 'correctAnswers', threshold: 50 },
+    { id: 'streak-3', name: 'Warming Up', description: 'Reach a 3-day streak', icon: '🔥', metric: 'streak', threshold: 3 },
+    { id: 'streak-10', name: 'On Fire', description: 'Reach a 10-day streak', icon: '🔥', metric: 'streak', threshold: 10 },
+    { id: 'streak-30', name: 'Unstoppable', description: 'Reach a 30-day streak', icon: '🌋', metric: 'streak', threshold: 30 },
+    { id: 'perfect-lesson', name: 'Flawless', description: 'Score 100% on a topic lesson', icon: '🏆', metric: 'perfectLessons', threshold: 1 },
+    { id: 'perfect-lesson-10', name: 'Perfectionist', description: 'Score 100% on 10 topic lessons', icon: '👑', metric: 'perfectLessons', threshold: 10 },
+    { id: 'xp-1000', name: 'XP Collector', description: 'Earn 1,000 XP', icon: '⭐', metric: 'totalXP', threshold: 1000 },
+    { id: 'topics-5', name: 'Explorer', description: 'Study 5 different topics', icon: '🧭', metric: 'topicsStarted', threshold: 5 },
+    { id: 'first-review', name: 'Critic', description: 'Write your first teacher review', icon: '✍️', metric: 'reviewsWritten', threshold: 1 }
+];
+
+const formatAchievement = (achievement, awardedAt = null, value) => ({
+    id: achievement.id,
+    name: achievement.name,
+    description: achievement.description,
+    icon: achievement.icon,
+    threshold: achievement.threshold,
+    progress: value === undefined ? undefined : Math.min(value, achievement.threshold),
+    earned: !!awardedAt,
+    awardedAt
+});
+
+// Check the badges affected by `events` ('progress', 'streak', 'session', 'review') and
+// award the ones newly reached. Returns the new badges.
+async function evaluateAchievements(userId, events) {
+    const earned = new Set(await UserAchievement.find({ userId }).distinct('achievementId'));
+    const pending = ACHIEVEMENTS.filter(a => !earned.has(a.id) && METRICS[a.metric].events.some(e => events.includes(e)));
+    if (!pending.length) return [];
+
+    const values = {};
+    for (const metric of new Set(pending.map(a => a.metric))) {
+        values[metric] = await METRICS[metric].compute(userId);
+    }
+
+    const awarded = [];
+    for (const achievement of pending) {
+        if (values[achievement.metric] < achievement.threshold) continue;
+        try {
+            const record = await UserAchievement.create({ userId, achievementId: achievement.id });
+            awarded.push(formatAchievement(achievement, record.awardedAt));
+        } catch (e) {
+            if (e.code !== 11000) throw e;  // Awarded concurrently
+        }
+    }
+    return awarded;
+}
+
+// Every badge with the user's progress towards it
+async function listAchievements(userId) {
+    const records = await UserAchievement.find({ userId });
+    const awardedAt = new Map(records.map(r => [r.achievementId, r.awardedAt]));
+
+    const values = {};
+    for (const metric of new Set(ACHIEVEMENTS.map(a => a.metric))) {
+        values[metric] = await METRICS[metric].compute(userId);
+    }
+
+    return ACHIEVEMENTS.map(a => formatAchievement(a, awardedAt.get(a.id) || null, values[a.metric]));
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    evaluateAchievements,
+    listAchievements
+};
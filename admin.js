@@ -0,0 +1,70 @@
+const { usersModel } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { revokeAllSessions } = require('./sessions.js');
+const { escapeRegex } = require('./util.js');
+
+const formatAdminUser = (user) => ({
+    id: user._id,
+    name: user.fullname,
+    username: user.username,
+    email: user.email,
+    state: user.state,
+    role: user.role,
+    disabled: !!user.disabled,
+    totalXP: user.totalXP,
+    rating: user.rating,
+    ratingCount: user.ratingCount
+});
+
+// Users by role, disabled state, and name/username/email search
+async function listUsers({ role, disabled, q, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (role) filter.role = role;
+    if (disabled !== undefined) filter.disabled = disabled ? true : { $ne: true };
+    if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        filter.$or = [{ fullname: pattern }, { username: pattern }, { email: pattern }];
+    }
+    const [total, users] = await Promise.all([
+        usersModel.countDocuments(filter),
+        usersModel.find(filter)
+            .select('fullname username email state role disabled totalXP rating ratingCount')
+            .sort({ fullname: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    return { total, page, users: users.map(formatAdminUser) };
+}
+
+// Change a user's role or disable/enable their account. Admins can't do either to
+// themselves, so there is always someone left to undo a mistake.
+async function updateUser(adminId, userId, { role, disabled }) {
+    if (userId.toString() === adminId.toString()) {
+        throw new ApiError(409, 'userId', 'You cannot change your own role or account status');
+    }
+    const update = {};
+    if (role !== undefined) update.role = role;
+    if (disabled !== undefined) update.disabled = disabled;
+
+    const user = await usersModel.findByIdAndUpdate(userId, { $set: update }, { new: true });
+    if (!user) throw new ApiError(404, 'userId', 'User not found');
+    if (disabled) await revokeAllSessions(userId, 'account-disabled');
+    return formatAdminUser(user);
+}
+
+// Give the Admin role to the usernames listed in ADMIN_USERNAMES, so the first admin
+// can be created without one
+async function promoteConfiguredAdmins(usernames) {
+    if (!usernames.length) return 0;
+    const result = await usersModel.updateMany(
+        { username: { $in: usernames }, role: { $ne: 'Admin' } },
+        { $set: { role: 'Admin' } }
+    );
+    return result.modifiedCount;
+}
+
+module.exports = {
+    listUsers,
+    updateUser,
+    promoteConfiguredAdmins
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { usersModel, Question, Progress } = require('./db.js');
+const { DEFAULT_TIMEZONE, isValidTimezone, localDay, addDays, startOfDay } = require('./streak.js');
+
+// A student's own progress analytics, aggregated from Progress (indexed by userId and
+// timestamp), plus the pipeline pieces teacherReports.js shares
+
+const MANUAL_LESSON = 'manual-lesson';
+// How far back the analytics endpoint looks; 'year' is for the heatmap
+const RANGES = { '7d': 7, '30d': 30, '90d': 90, year: 365 };
+const RECENT_ITEMS = 2;
+
+// Graded answers; manual lessons and skips carry XP but no right or wrong
+const ANSWERED = { $and: [{ $ne: ['$questionId', MANUAL_LESSON] }, { $in: ['$isCorrect', [true, false]] }] };
+
+const percent = (part, whole) => ({
+    $cond: [{ $gt: [whole, 0] }, { $round: [{ $multiply: [{ $divide: [part, whole] }, 100] }, 1] }, null]
+});
+
+// The last `days` days including today, in whole days of `timezone`
+const lastDays = (days, timezone, now = new Date()) => {
+    const today = localDay(now, timezone);
+    return { from: startOfDay(addDays(today, -(days - 1)), timezone), to: now, days, timezone };
+};
+
+const userTimezone = (user) => user && isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+
+const answerTotals = {
+    answered: { $sum: { $cond: [ANSWERED, 1, 0] } },
+    correct: { $sum: { $cond: [{ $and: [ANSWERED, { $eq: ['$isCorrect', true] }] }, 1, 0] } },
+    xp: { $sum: { $ifNull: ['$xp', 0] } }
+};
+
+const answerTotalsOut = {
+    answered: 1,
+    correct: 1,
+    incorrect: { $subtract: ['$answered', '$correct'] },
+    accuracy: percent('$correct', '$answered'),
+    xp: 1
+};
+
+// Today's XP, all-time XP, XP for each of the last 7 days and the latest answers, for the dashboard
+async function progressSummary(userId, now = new Date()) {
+    const user = await usersModel.findById(userId).select('timezone');
+    const timezone = userTimezone(user);
+    const week = lastDays(7, timezone, now);
+    const today = localDay(now, timezone);
+
+    const [result] = await Progress.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+        {
+            $facet: {
+                total: [{ $group: { _id: null, xp: { $sum: { $ifNull: ['$xp', 0] } } } }],
+                week: [
+                    { $match: { timestamp: { $gte: week.from } } },
+                    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } }, xp: { $sum: { $ifNull: ['$xp', 0] } } } }
+                ],
+                recent: [
+                    { $sort: { timestamp: -1 } },
+                    { $limit: RECENT_ITEMS },
+                    { $lookup: { from: Question.collection.name, localField: 'questionId', foreignField: 'id', as: 'question' } },
+                    { $project: { _id: 0, title: { $ifNull: [{ $first: '$question.prompt' }, 'Lesson'] }, xp: { $ifNull: ['$xp', 0] } } }
+                ]
+            }
+        }
+    ]);
+
+    const byDay = new Map(result.week.map(d => [d._id, d.xp]));
+    const activity = Array.from({ length: 7 }, (_, i) => byDay.get(addDays(today, i - 6)) || 0);
+    return {
+        dailyXP: byDay.get(today) || 0,
+        totalXP: result.total[0] ? result.total[0].xp : 0,
+        activity,
+        recent: result.recent
+    };
+}
+
+// Totals, accuracy per topic, and answers and XP for every day of the range in the user's
+// timezone (days without activity included, for charts and the heatmap)
+async function progressAnalytics(userId, { range = '30d' } = {}, now = new Date()) {
+    const user = await usersModel.findById(userId).select('timezone');
+    const timezone = userTimezone(user);
+    const window = lastDays(RANGES[range], timezone, now);
+
+    const [result] = await Progress.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), timestamp: { $gte: window.from, $lte: window.to } } },
+        {
+            $facet: {
+                totals: [
+                    { $group: { _id: null, ...answerTotals, skipped: { $sum: { $cond: [{ $and: [{ $ne: ['$questionId', MANUAL_LESSON] }, { $not: [ANSWERED] }] }, 1, 0] } } } },
+                    { $project: { _id: 0, ...answerTotalsOut, skipped: 1 } }
+                ],
+                topics: [
+                    { $group: { _id: { $ifNull: ['$topic', 'unknown'] }, ...answerTotals, lastAnsweredAt: { $max: '$timestamp' } } },
+                    { $sort: { answered: -1, _id: 1 } },
+                    { $project: { _id: 0, topic: '$_id', ...answerTotalsOut, lastAnsweredAt: 1 } }
+                ],
+                days: [
+                    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } }, ...answerTotals } },
+                    { $project: { _id: 0, day: '$_id', ...answerTotalsOut } }
+                ]
+            }
+        }
+    ]);
+
+    const firstDay = localDay(window.from, timezone);
+    const byDay = new Map(result.days.map(d => [d.day, d]));
+    const days = Array.from({ length: window.days }, (_, i) => {
+        const day = addDays(firstDay, i);
+        return byDay.get(day) || { day, answered: 0, correct: 0, incorrect: 0, accuracy: null, xp: 0 };
+    });
+
+    return {
+        range,
+        timezone,
+        from: firstDay,
+        to: localDay(now, timezone),
+        totals: result.totals[0] || { answered: 0, correct: 0, incorrect: 0, accuracy: null, xp: 0, skipped: 0 },
+        topics: result.topics,
+        days
+    };
+}
+
+module.exports = {
+    MANUAL_LESSON,
+    RANGES,
+    ANSWERED,
+    percent,
+    lastDays,
+    userTimezone,
+    progressSummary,
+    progressAnalytics
+};
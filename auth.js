@@ -1,23 +1,111 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const { usersModel, AuthSession } = require('./db.js');
+const { sendApiError } = require('./errors.js');
+const { authError } = require('./sessions.js');
 const { JWT_SECRETE } = process.env;
 
+const ROLES = ['Student', 'Teacher', 'Admin'];
+
+// What each role may do. Admins may do everything.
+const ROLE_PERMISSIONS = {
+    Student: [],
+    Teacher: ['questions:manage', 'students:view'],
+    Admin: ['*']
+};
+
+const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+};
+
+// Check an access token and that its session is still signed in. Resolves to
+// { userId, sessionId }; throws a 401 ApiError whose `code` says what went wrong.
+async function verifyAccessToken(token) {
+    if (!token) throw authError('token_missing', 'No token provided');
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRETE);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') throw authError('token_expired', 'Access token expired');
+        throw authError('token_invalid', 'Invalid token');
+    }
+    // Tokens from before sessions never expire, so they are no longer accepted
+    if (!decoded.sid) throw authError('token_outdated', 'Please sign in again');
+
+    const session = await AuthSession.findById(decoded.sid).select('userId revokedAt expiresAt');
+    if (!session || session.userId.toString() !== decoded.id) throw authError('token_invalid', 'Invalid token');
+    if (session.revokedAt) throw authError('session_revoked', 'This session has been logged out');
+    if (session.expiresAt <= new Date()) throw authError('session_expired', 'This session has expired, please sign in again');
+
+    return { userId: decoded.id, sessionId: decoded.sid };
+}
+
 // JWT Middleware
-const authenticateJWT = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ errors: [{ path: 'auth', message: 'No token provided' }] });
+const authenticateJWT = async (req, res, next) => {
+    try {
+        const { userId, sessionId } = await verifyAccessToken(req.headers.authorization?.split(' ')[1]);
+        req.userId = userId;
+        req.sessionId = sessionId;
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('JWT error:', e);
+        return res.status(500).json({ error: 'Failed to verify token' });
+    }
+    next();
+};
+
+// Load the caller's role for the checks below. Read from the database on every request
+// so a role granted or taken away by an admin applies straight away.
+const loadRole = async (req, res) => {
+    if (req.userRole) return true;
+    const user = await usersModel.findById(req.userId).select('role disabled verified');
+    if (!user) {
+        res.status(404).json({ errors: [{ path: 'auth', message: 'User not found' }] });
+        return false;
     }
+    if (user.disabled) {
+        res.status(403).json({ errors: [{ path: 'auth', message: 'This account has been disabled' }] });
+        return false;
+    }
+    req.userRole = user.role;
+    req.userVerified = !!user.verified;
+    return true;
+};
+
+// Middleware factory: let the request through when `allowed(role)` holds. Use after authenticateJWT.
+const requireAccess = (allowed, message) => async (req, res, next) => {
     try {
-        const decoded = jwt.verify(token, JWT_SECRETE);
-        req.userId = decoded.id;
+        if (!await loadRole(req, res)) return;
+        if (!allowed(req.userRole)) {
+            return res.status(403).json({ errors: [{ path: 'role', message }] });
+        }
         next();
     } catch (e) {
-        console.error('JWT error:', e);
-        return res.status(403).json({ errors: [{ path: 'auth', message: 'Invalid token' }] });
+        console.error('Role check error:', e);
+        res.status(500).json({ error: 'Failed to verify role' });
     }
 };
 
+// Only the given roles, e.g. requireRole('Admin')
+const requireRole = (...roles) => requireAccess(
+    role => roles.includes(role),
+    `Access denied: requires the ${roles.join(' or ')} role`
+);
+
+// Any role granted the permission in ROLE_PERMISSIONS, e.g. requirePermission('questions:manage')
+const requirePermission = (permission) => requireAccess(
+    role => hasPermission(role, permission),
+    'Access denied: you do not have permission to do this'
+);
+
 module.exports = {
-    authenticateJWT
+    ROLES,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    verifyAccessToken,
+    authenticateJWT,
+    requireRole,
+    requirePermission
 };
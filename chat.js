@@ -0,0 +1,209 @@
+const { z } = require('zod');
+const { usersModel, ChatUsage, ChatConversation } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { localDay } = require('./streak.js');
+const { getTutorProvider, buildTutorContext } = require('./tutor.js');
+
+// Messages each user may send to the tutor per day, in their own timezone
+const CHAT_DAILY_LIMIT = Number(process.env.CHAT_DAILY_LIMIT) || 50;
+// Turns sent to the tutor with each message, and kept per conversation
+const HISTORY_TURNS = 10;
+const MAX_STORED_MESSAGES = 200;
+const TITLE_LENGTH = 60;
+// How long the tutor may take to answer, and to send the next chunk once it is streaming
+const TUTOR_TIMEOUT_MS = Number(process.env.TUTOR_TIMEOUT_MS) || 60 * 1000;
+const TUTOR_IDLE_MS = 20 * 1000;
+
+// A message to the tutor, over HTTP or the chat socket
+const chatMessageSchema = z.object({
+    message: z.string({ error: "Message is required" }).trim().min(1, "Message is required").max(2000, "Message is too long"),
+    conversationId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid conversation id").optional()
+});
+
+const quotaError = () => {
+    const message = `You've used today's ${CHAT_DAILY_LIMIT} chat messages. Come back tomorrow!`;
+    return new ApiError(429, 'message', message, [{ path: 'message', message, code: 'chat_quota' }]);
+};
+
+// Count one chat message against today's quota; throws once the quota is used up
+async function useChatQuota(userId, now = new Date()) {
+    const user = await usersModel.findById(userId).select('timezone');
+    const day = localDay(now, user && user.timezone);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const usage = await ChatUsage.findOneAndUpdate(
+                { userId, day, count: { $lt: CHAT_DAILY_LIMIT } },
+                { $inc: { count: 1 } },
+                { upsert: true, new: true }
+            );
+            return { day, limit: CHAT_DAILY_LIMIT, used: usage.count, remaining: CHAT_DAILY_LIMIT - usage.count };
+        } catch (e) {
+            if (e.code !== 11000) throw e;
+            // Either today's counter is full, or it was just created by a concurrent message
+            const usage = await ChatUsage.findOne({ userId, day });
+            if (usage && usage.count >= CHAT_DAILY_LIMIT) throw quotaError();
+        }
+    }
+    throw quotaError();
+}
+
+// Give a message back when the tutor couldn't answer it
+async function refundChatQuota(userId, quota) {
+    await ChatUsage.updateOne({ userId, day: quota.day, count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
+
+const formatMessage = (m) => ({ role: m.role, content: m.content, createdAt: m.createdAt });
+
+const formatConversation = (conversation, withMessages = false) => ({
+    id: conversation._id,
+    title: conversation.title,
+    topic: conversation.topic,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    ...(withMessages ? { messages: conversation.messages.map(formatMessage) } : {})
+});
+
+const titleFrom = (message) => {
+    const line = message.trim().split('\n')[0];
+    return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+};
+
+async function findConversation(userId, conversationId) {
+    const conversation = await ChatConversation.findOne({ _id: conversationId, userId });
+    if (!conversation) throw new ApiError(404, 'conversationId', 'Conversation not found');
+    return conversation;
+}
+
+const timeoutError = () => {
+    const message = 'The tutor took too long to answer, please try again';
+    return new ApiError(504, 'message', message, [{ path: 'message', message, code: 'tutor_timeout' }]);
+};
+
+// Settle with `promise`, or reject as soon as `signal` aborts, for providers that ignore it
+const untilAborted = (promise, signal) => new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+});
+
+// Ask the tutor provider, streaming chunks to `onToken` when both sides can. A provider
+// without stream() is asked for the whole answer, which is then passed on in one chunk.
+// Gives up with a 504 after TUTOR_TIMEOUT_MS, or TUTOR_IDLE_MS between chunks;
+// `signal` cancels it (e.g. when the client has gone away).
+async function askTutor(request, { onToken = null, signal = null } = {}) {
+    const provider = getTutorProvider();
+    const controller = new AbortController();
+    const cancel = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) throw signal.reason;
+        signal.addEventListener('abort', cancel, { once: true });
+    }
+    const deadline = setTimeout(() => controller.abort(timeoutError()), TUTOR_TIMEOUT_MS);
+    let idle = null;
+
+    try {
+        const ask = { ...request, signal: controller.signal };
+        if (!onToken || typeof provider.stream !== 'function') {
+            const { text } = await untilAborted(provider.reply(ask), controller.signal);
+            if (onToken) onToken(text);
+            return text;
+        }
+
+        const iterator = provider.stream(ask)[Symbol.asyncIterator]();
+        let text = '';
+        try {
+            for (;;) {
+                const { value, done } = await untilAborted(iterator.next(), controller.signal);
+                if (done) break;
+                clearTimeout(idle);
+                idle = setTimeout(() => controller.abort(timeoutError()), TUTOR_IDLE_MS);
+                text += value;
+                onToken(value);
+            }
+        } finally {
+            if (controller.signal.aborted && iterator.return) Promise.resolve(iterator.return()).catch(() => {});
+        }
+        return text;
+    } finally {
+        clearTimeout(deadline);
+        clearTimeout(idle);
+        if (signal) signal.removeEventListener('abort', cancel);
+    }
+}
+
+// Send a message to the tutor, in a new conversation or continuing `conversationId`.
+// The tutor gets the recent turns and what the learner is studying; the message only
+// counts against the quota, and is only saved, once it has been answered.
+// `onStatus('thinking')` is called once the tutor has been asked, and the answer is
+// streamed to `onToken` as it arrives (see askTutor).
+async function sendChatMessage(userId, { conversationId = null, message }, { onStatus = null, onToken = null, signal = null } = {}) {
+    const conversation = conversationId ? await findConversation(userId, conversationId) : null;
+    const context = await buildTutorContext(userId);
+    const history = conversation
+        ? conversation.messages.slice(-HISTORY_TURNS).map(m => ({ role: m.role, content: m.content }))
+        : [];
+
+    const quota = await useChatQuota(userId);
+    let reply;
+    try {
+        if (onStatus) onStatus('thinking');
+        reply = { text: await askTutor({ message, history, context }, { onToken, signal }) };
+    } catch (e) {
+        await refundChatQuota(userId, quota).catch(err => console.error('Chat quota refund error:', err));
+        throw e;
+    }
+
+    const now = new Date();
+    const turn = [
+        { role: 'user', content: message, createdAt: now },
+        { role: 'assistant', content: reply.text, createdAt: new Date() }
+    ];
+    let saved;
+    if (conversation) {
+        saved = await ChatConversation.findOneAndUpdate(
+            { _id: conversation._id, userId },
+            { $push: { messages: { $each: turn, $slice: -MAX_STORED_MESSAGES } }, $set: { updatedAt: now } },
+            { new: true }
+        );
+        // Deleted while the tutor was answering
+        if (!saved) throw new ApiError(404, 'conversationId', 'Conversation not found');
+    } else {
+        saved = await ChatConversation.create({
+            userId,
+            title: titleFrom(message),
+            topic: context.topic,
+            messages: turn,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    return { conversationId: saved._id, response: reply.text, quota };
+}
+
+async function listConversations(userId) {
+    const conversations = await ChatConversation.find({ userId }).select('-messages').sort({ updatedAt: -1 });
+    return conversations.map(c => formatConversation(c));
+}
+
+async function getConversation(userId, conversationId) {
+    return formatConversation(await findConversation(userId, conversationId), true);
+}
+
+async function deleteConversation(userId, conversationId) {
+    const result = await ChatConversation.deleteOne({ _id: conversationId, userId });
+    if (!result.deletedCount) throw new ApiError(404, 'conversationId', 'Conversation not found');
+}
+
+module.exports = {
+    CHAT_DAILY_LIMIT,
+    chatMessageSchema,
+    useChatQuota,
+    refundChatQuota,
+    sendChatMessage,
+    listConversations,
+    getConversation,
+    deleteConversation
+};
@@ -0,0 +1,162 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyAccessToken } = require('./auth.js');
+const { ApiError } = require('./errors.js');
+const { authError } = require('./sessions.js');
+const { chatMessageSchema, sendChatMessage } = require('./chat.js');
+
+// Tutor chat over a WebSocket, with answers streamed as they are written. Vercel's
+// serverless functions can't keep a socket open, so there clients stay on POST /api/chat.
+//
+// Every frame is JSON. The client signs in first, and again whenever it refreshes its token:
+//   → { type: 'auth', token }                              ← { type: 'ready' }
+// then sends one message at a time, with an id of its choosing:
+//   → { type: 'chat', id, message, conversationId? }
+//   ← { type: 'status', id, status: 'thinking', elapsedMs }  every few seconds until the answer starts
+//   ← { type: 'status', id, status: 'typing' }
+//   ← { type: 'token', id, text }                           as many as it takes
+//   ← { type: 'done', id, conversationId, response, quota }
+// Failures come back as { type: 'error', id, status, errors }, with the status and errors
+// the HTTP API would have answered with.
+
+const CHAT_SOCKET_PATH = '/api/chat/stream';
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const PING_INTERVAL_MS = 30 * 1000;
+const PROGRESS_INTERVAL_MS = 3 * 1000;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+const send = (socket, payload) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(payload));
+};
+
+const errorFrame = (id, e) => e instanceof ApiError
+    ? { type: 'error', id, status: e.status, errors: e.errors }
+    : { type: 'error', id, status: 500, errors: [{ path: 'server', message: 'Failed to get AI response' }] };
+
+const rateLimitedError = (message) => new ApiError(429, 'rateLimit', message, [{ path: 'rateLimit', message, code: 'rate_limited' }]);
+
+// Serve the chat socket on `server`. `rateLimit` is the same limiter as POST /api/chat,
+// so switching transports doesn't get anyone extra messages.
+function attachChatSocket(server, { rateLimit = null } = {}) {
+    const wss = new WebSocketServer({ server, path: CHAT_SOCKET_PATH, maxPayload: MAX_PAYLOAD_BYTES });
+
+    wss.on('connection', (socket) => {
+        const state = { token: null, userId: null, pending: null };
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+
+        const authTimer = setTimeout(() => {
+            if (!state.userId) socket.close(4401, 'Authentication required');
+        }, AUTH_TIMEOUT_MS);
+
+        const authenticate = async (token) => {
+            const { userId } = await verifyAccessToken(token);
+            if (state.userId && state.userId !== userId) {
+                throw new ApiError(403, 'auth', 'This connection belongs to another user');
+            }
+            state.token = token;
+            state.userId = userId;
+            clearTimeout(authTimer);
+            send(socket, { type: 'ready' });
+        };
+
+        const chat = async (id, body) => {
+            if (!state.userId) throw authError('token_missing', 'Send { type: "auth" } first');
+            if (state.pending) throw new ApiError(409, 'message', 'Wait for the tutor to finish answering');
+            const controller = new AbortController();
+            state.pending = controller;
+            const startedAt = Date.now();
+            let typing = false;
+            let progress = null;
+            const thinking = () => send(socket, { type: 'status', id, status: 'thinking', elapsedMs: Date.now() - startedAt });
+
+            try {
+                // Access tokens expire and sessions get logged out while the socket stays open
+                await verifyAccessToken(state.token);
+
+                const parsed = chatMessageSchema.safeParse(body);
+                if (!parsed.success) throw ApiError.fromZod(parsed.error);
+
+                if (rateLimit) {
+                    let result = { allowed: true };
+                    try {
+                        result = await rateLimit.check(state.userId);
+                    } catch (e) {
+                        console.error('Rate limit store error:', e);
+                    }
+                    if (!result.allowed) throw rateLimitedError(rateLimit.message);
+                }
+
+                const { conversationId, response, quota } = await sendChatMessage(state.userId, parsed.data, {
+                    signal: controller.signal,
+                    onStatus: () => {
+                        thinking();
+                        progress = setInterval(thinking, PROGRESS_INTERVAL_MS);
+                    },
+                    onToken: (text) => {
+                        if (!typing) {
+                            typing = true;
+                            clearInterval(progress);
+                            send(socket, { type: 'status', id, status: 'typing' });
+                        }
+                        send(socket, { type: 'token', id, text });
+                    }
+                });
+                send(socket, { type: 'done', id, conversationId, response, quota: { limit: quota.limit, remaining: quota.remaining } });
+            } finally {
+                clearInterval(progress);
+                state.pending = null;
+            }
+        };
+
+        const handle = async (frame) => {
+            if (frame.type === 'auth') return authenticate(frame.token);
+            if (frame.type === 'chat') return chat(frame.id ?? null, { message: frame.message, conversationId: frame.conversationId });
+            throw new ApiError(400, 'type', 'Unknown message type');
+        };
+
+        socket.on('message', (data) => {
+            let frame;
+            try {
+                frame = JSON.parse(data.toString());
+            } catch {
+                frame = null;
+            }
+            if (!frame || typeof frame !== 'object') {
+                return send(socket, errorFrame(null, new ApiError(400, 'message', 'Messages must be JSON objects')));
+            }
+            handle(frame).catch(e => {
+                // The client is gone, nobody to tell
+                if (socket.readyState !== WebSocket.OPEN) return;
+                if (!(e instanceof ApiError)) console.error('Chat socket error:', e);
+                send(socket, errorFrame(frame.id ?? null, e));
+            });
+        });
+
+        socket.on('close', () => {
+            clearTimeout(authTimer);
+            // Stop waiting on the tutor; the message is refunded and not saved
+            if (state.pending) state.pending.abort();
+        });
+    });
+
+    // Drop connections that stopped answering pings (sleeping laptops, dead networks)
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, PING_INTERVAL_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+module.exports = {
+    CHAT_SOCKET_PATH,
+    attachChatSocket
+};
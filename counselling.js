@@ -0,0 +1,325 @@
+const { z } = require('zod');
+const { usersModel, College, Scholarship } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { localDay, daysBetween, startOfDay, DEFAULT_TIMEZONE } = require('./streak.js');
+const { escapeRegex } = require('./util.js');
+
+// College counselling: a dataset of colleges and scholarships (seeded below, edited by
+// admins), matched against the academic profile students give at signup.
+
+const STREAMS = ['Science', 'Commerce', 'Arts'];
+const SAFE_MARGIN = 5;  // marks above the cutoff for a college to count as safe
+const REACH_MARGIN = 5;  // marks below the cutoff a college is still suggested at
+const URGENT_DAYS = 14;
+
+const slugify = (name) => name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const percent = (label) => z.coerce.number().min(0, `${label} must be 0 to 100`).max(100, `${label} must be 0 to 100`);
+
+const baseFields = {
+    slug: z.string().trim().regex(/^[a-z0-9-]+$/, "Slug may only contain lowercase letters, digits and dashes").optional(),
+    name: z.string().trim().min(3, "Name must be at least 3 characters"),
+    website: z.string().trim().url("Website must be a URL").optional().or(z.literal('')).default(''),
+    active: z.boolean().optional().default(true)
+};
+
+const collegeInputSchema = z.object({
+    ...baseFields,
+    city: z.string().trim().optional().default(''),
+    state: z.string().trim().min(3, "State is required"),
+    ownership: z.enum(['government', 'private']).optional().default('government'),
+    streams: z.array(z.enum(STREAMS)).min(1, "Admit at least one stream"),
+    courses: z.array(z.string().trim().min(1)).optional().default([]),
+    cutoff: percent('Cutoff'),
+    homeStateCutoff: percent('Home-state cutoff').nullable().optional().default(null),
+    entranceExam: z.string().trim().optional().default(''),
+    annualFees: z.coerce.number().min(0, "Fees can't be negative").optional().default(0),
+    deadlines: z.array(z.object({
+        label: z.string().trim().min(1, "Deadline label is required"),
+        date: z.coerce.date({ error: "Deadline date must be a date" })
+    })).optional().default([])
+});
+
+const scholarshipInputSchema = z.object({
+    ...baseFields,
+    provider: z.string().trim().optional().default(''),
+    amount: z.coerce.number().min(0, "Amount can't be negative").optional().default(0),
+    streams: z.array(z.enum(STREAMS)).optional().default([]),
+    states: z.array(z.string().trim().min(3)).optional().default([]),
+    minMarks10: percent('10th marks').optional().default(0),
+    minMarks12: percent('12th marks').optional().default(0),
+    deadline: z.coerce.date({ error: "Deadline must be a date" })
+});
+
+const formatCollege = (college) => ({
+    id: college.slug,
+    name: college.name,
+    city: college.city,
+    state: college.state,
+    ownership: college.ownership,
+    streams: college.streams,
+    courses: college.courses,
+    cutoff: college.cutoff,
+    homeStateCutoff: college.homeStateCutoff,
+    entranceExam: college.entranceExam,
+    annualFees: college.annualFees,
+    website: college.website,
+    deadlines: college.deadlines.map(d => ({ label: d.label, date: d.date })),
+    active: college.active
+});
+
+const formatScholarship = (scholarship) => ({
+    id: scholarship.slug,
+    name: scholarship.name,
+    provider: scholarship.provider,
+    amount: scholarship.amount,
+    streams: scholarship.streams,
+    states: scholarship.states,
+    minMarks10: scholarship.minMarks10,
+    minMarks12: scholarship.minMarks12,
+    deadline: scholarship.deadline,
+    website: scholarship.website,
+    active: scholarship.active
+});
+
+// The two admin-editable lists, by the name used in their routes
+const DATASETS = {
+    colleges: { model: College, schema: collegeInputSchema, format: formatCollege, label: 'College', sort: { cutoff: -1, name: 1 } },
+    scholarships: { model: Scholarship, schema: scholarshipInputSchema, format: formatScholarship, label: 'Scholarship', sort: { deadline: 1, name: 1 } }
+};
+
+const parseEntry = (dataset, input) => {
+    const parsed = dataset.schema.safeParse(input);
+    if (!parsed.success) throw ApiError.fromZod(parsed.error);
+    return parsed.data;
+};
+
+async function listEntries(kind, { q, stream, state, page = 1, limit = 20, includeInactive = false } = {}) {
+    const dataset = DATASETS[kind];
+    const filter = includeInactive ? {} : { active: true };
+    const and = [];
+    if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        and.push({ $or: kind === 'colleges' ? [{ name: pattern }, { city: pattern }, { courses: pattern }] : [{ name: pattern }, { provider: pattern }] });
+    }
+    // Scholarships without streams or states are open to everyone
+    if (stream) and.push(kind === 'colleges' ? { streams: stream } : { $or: [{ streams: stream }, { streams: { $size: 0 } }] });
+    if (state) and.push(kind === 'colleges' ? { state } : { $or: [{ states: state }, { states: { $size: 0 } }] });
+    if (and.length) filter.$and = and;
+
+    const [total, entries] = await Promise.all([
+        dataset.model.countDocuments(filter),
+        dataset.model.find(filter).sort(dataset.sort).skip((page - 1) * limit).limit(limit)
+    ]);
+    return { total, page, [kind]: entries.map(dataset.format) };
+}
+
+async function createEntry(kind, input) {
+    const dataset = DATASETS[kind];
+    const data = parseEntry(dataset, input);
+    const slug = data.slug || slugify(data.name);
+    if (await dataset.model.exists({ slug })) {
+        throw new ApiError(409, 'slug', `${dataset.label} "${slug}" already exists`);
+    }
+    try {
+        return dataset.format(await dataset.model.create({ ...data, slug }));
+    } catch (e) {
+        if (e.code === 11000) throw new ApiError(409, 'slug', `${dataset.label} "${slug}" already exists`);
+        throw e;
+    }
+}
+
+// Apply a partial edit; the merged entry is validated as a whole. The slug is fixed once created.
+async function updateEntry(kind, slug, input) {
+    const dataset = DATASETS[kind];
+    const entry = await dataset.model.findOne({ slug });
+    if (!entry) throw new ApiError(404, 'slug', `${dataset.label} not found`);
+    const data = parseEntry(dataset, { ...dataset.format(entry), ...input, slug: undefined });
+    delete data.slug;
+    entry.set(data);
+    await entry.save();
+    return dataset.format(entry);
+}
+
+async function deleteEntry(kind, slug) {
+    const dataset = DATASETS[kind];
+    const entry = await dataset.model.findOneAndDelete({ slug });
+    if (!entry) throw new ApiError(404, 'slug', `${dataset.label} not found`);
+    return dataset.format(entry);
+}
+
+// The marks a student is matched on: 12th marks, or 10th marks until they have them
+const academicProfile = (user) => {
+    if (!user.stream12) throw new ApiError(400, 'stream12', 'Add your 12th stream to your profile to get recommendations');
+    const has12 = typeof user.marks12 === 'number';
+    if (!has12 && typeof user.marks10 !== 'number') throw new ApiError(400, 'marks10', 'Add your marks to your profile to get recommendations');
+    return {
+        stream: user.stream12,
+        state: user.state || '',
+        marks10: user.marks10 ?? null,
+        marks12: has12 ? user.marks12 : null,
+        marks: has12 ? user.marks12 : user.marks10,
+        basedOn: has12 ? 'marks12' : 'marks10'
+    };
+};
+
+const chanceFor = (margin) => margin >= SAFE_MARGIN ? 'safe' : margin >= 0 ? 'target' : 'reach';
+
+async function matchColleges(profile, { maxFees } = {}) {
+    const reachable = profile.marks + REACH_MARGIN;
+    const filter = {
+        active: true,
+        streams: profile.stream,
+        $or: [{ cutoff: { $lte: reachable } }, { state: profile.state, homeStateCutoff: { $lte: reachable } }]
+    };
+    if (maxFees !== undefined) filter.annualFees = { $lte: maxFees };
+
+    const colleges = await College.find(filter);
+    return colleges.map(college => {
+        const homeState = college.state === profile.state && college.homeStateCutoff !== null;
+        const cutoff = homeState ? Math.min(college.cutoff, college.homeStateCutoff) : college.cutoff;
+        const margin = Math.round((profile.marks - cutoff) * 10) / 10;
+        const reasons = [`Admits ${profile.stream} students`];
+        if (homeState) reasons.push(`Home-state cutoff of ${college.homeStateCutoff}% for ${college.state} students`);
+        if (college.entranceExam) reasons.push(`Admission also needs ${college.entranceExam}`);
+        return { college: formatCollege(college), cutoff, margin, chance: chanceFor(margin), homeState, reasons };
+    })
+        // Likely admits first, then reaches; the most selective college first within each
+        .sort((a, b) => (a.chance === 'reach') - (b.chance === 'reach')
+            || b.cutoff - a.cutoff
+            || b.homeState - a.homeState
+            || a.college.name.localeCompare(b.college.name));
+}
+
+async function matchScholarships(profile, today, timezone) {
+    const scholarships = await Scholarship.find({
+        active: true,
+        deadline: { $gte: startOfDay(today, timezone) },
+        $and: [
+            { $or: [{ streams: profile.stream }, { streams: { $size: 0 } }] },
+            { $or: [{ states: profile.state }, { states: { $size: 0 } }] }
+        ],
+        minMarks10: { $lte: profile.marks10 ?? 0 }
+    }).sort({ deadline: 1 });
+    // A 12th requirement is only checked once the student has 12th marks
+    return scholarships
+        .filter(s => profile.marks12 === null || profile.marks12 >= s.minMarks12)
+        .map(s => ({ scholarship: formatScholarship(s), needs12th: profile.marks12 === null && s.minMarks12 > 0 }));
+}
+
+const findStudent = async (userId) => {
+    const user = await usersModel.findById(userId).select('marks10 marks12 stream12 state timezone');
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    return user;
+};
+
+const recommend = async (user, { limit = 20, maxFees } = {}, now) => {
+    const profile = academicProfile(user);
+    const timezone = user.timezone || DEFAULT_TIMEZONE;
+    const [colleges, scholarships] = await Promise.all([
+        matchColleges(profile, { maxFees }),
+        matchScholarships(profile, localDay(now, timezone), timezone)
+    ]);
+    const { marks, ...shown } = profile;
+    return { profile: shown, colleges: colleges.slice(0, limit), scholarships };
+};
+
+// Colleges and open scholarships for the student's stream, state and marks
+async function recommendFor(userId, options = {}, now = new Date()) {
+    return recommend(await findStudent(userId), options, now);
+}
+
+// Upcoming deadlines of the student's recommended colleges and scholarships, soonest first,
+// counted in days on their own calendar
+async function admissionTimeline(userId, { days = 365 } = {}, now = new Date()) {
+    const user = await findStudent(userId);
+    const timezone = user.timezone || DEFAULT_TIMEZONE;
+    const today = localDay(now, timezone);
+    const { colleges, scholarships } = await recommend(user, {}, now);
+
+    const events = [
+        ...colleges.flatMap(({ college, chance }) => college.deadlines.map(d => ({
+            kind: 'college', id: college.id, name: college.name, label: d.label, date: d.date, chance
+        }))),
+        ...scholarships.map(({ scholarship }) => ({
+            kind: 'scholarship', id: scholarship.id, name: scholarship.name, label: 'Application deadline', date: scholarship.deadline
+        }))
+    ]
+        .map(event => {
+            const day = localDay(event.date, timezone);
+            const daysLeft = daysBetween(today, day);
+            return { ...event, day, daysLeft, urgent: daysLeft <= URGENT_DAYS };
+        })
+        .filter(event => event.daysLeft >= 0 && event.daysLeft <= days)
+        .sort((a, b) => a.date - b.date || a.name.localeCompare(b.name));
+
+    return { today, timezone, events };
+}
+
+// Starting dataset. Cutoffs and dates are indicative and change every admission cycle; admins
+// keep them current. Dates are month and day, seeded as their next occurrence.
+const SEED_COLLEGES = [
+    { name: 'Shri Ram College of Commerce', city: 'New Delhi', state: 'Delhi', streams: ['Commerce'], courses: ['B.Com (Hons)', 'BA Economics (Hons)'], cutoff: 96, entranceExam: 'CUET-UG', annualFees: 30000, website: 'https://www.srcc.edu', deadlines: [['CUET-UG registration closes', 3, 22], ['DU CSAS phase 1 closes', 7, 5]] },
+    { name: "St. Stephen's College", city: 'New Delhi', state: 'Delhi', streams: ['Science', 'Arts'], courses: ['BA (Hons)', 'B.Sc (Hons)'], cutoff: 93, entranceExam: 'CUET-UG and interview', annualFees: 45000, website: 'https://www.ststephens.edu', deadlines: [['CUET-UG registration closes', 3, 22], ['College application closes', 7, 10]] },
+    { name: 'Miranda House', city: 'New Delhi', state: 'Delhi', streams: ['Science', 'Arts'], courses: ['B.Sc (Hons)', 'BA (Hons)'], cutoff: 90, entranceExam: 'CUET-UG', annualFees: 20000, website: 'https://www.mirandahouse.ac.in', deadlines: [['CUET-UG registration closes', 3, 22], ['DU CSAS phase 1 closes', 7, 5]] },
+    { name: 'Indian Institute of Technology Madras', city: 'Chennai', state: 'Tamil Nadu', streams: ['Science'], courses: ['B.Tech'], cutoff: 75, entranceExam: 'JEE Advanced', annualFees: 220000, website: 'https://www.iitm.ac.in', deadlines: [['JEE Main session 2 registration closes', 3, 2], ['JEE Advanced registration closes', 5, 2], ['JoSAA counselling registration', 6, 3]] },
+    { name: 'Loyola College', city: 'Chennai', state: 'Tamil Nadu', ownership: 'private', streams: ['Science', 'Commerce', 'Arts'], courses: ['B.Com', 'B.Sc', 'BA'], cutoff: 85, homeStateCutoff: 80, annualFees: 60000, website: 'https://www.loyolacollege.edu', deadlines: [['UG application closes', 5, 31]] },
+    { name: 'Presidency College', city: 'Chennai', state: 'Tamil Nadu', streams: ['Science', 'Arts'], courses: ['B.Sc', 'BA'], cutoff: 75, homeStateCutoff: 65, annualFees: 5000, website: 'https://www.presidencychennai.ac.in', deadlines: [['TNGASA application closes', 5, 20]] },
+    { name: "St. Xavier's College", city: 'Mumbai', state: 'Maharashtra', ownership: 'private', streams: ['Science', 'Commerce', 'Arts'], courses: ['BA', 'B.Sc', 'BMS'], cutoff: 88, annualFees: 50000, website: 'https://xaviers.edu', deadlines: [['UG application closes', 6, 10]] },
+    { name: 'Narsee Monjee College of Commerce and Economics', city: 'Mumbai', state: 'Maharashtra', ownership: 'private', streams: ['Commerce'], courses: ['B.Com', 'BMS'], cutoff: 88, homeStateCutoff: 85, annualFees: 40000, website: 'https://nmcollege.in', deadlines: [['Merit list application closes', 6, 15]] },
+    { name: 'COEP Technological University', city: 'Pune', state: 'Maharashtra', streams: ['Science'], courses: ['B.Tech'], cutoff: 85, homeStateCutoff: 75, entranceExam: 'MHT-CET or JEE Main', annualFees: 90000, website: 'https://www.coep.org.in', deadlines: [['MHT-CET registration closes', 2, 15], ['CAP registration closes', 7, 1]] },
+    { name: 'Jadavpur University', city: 'Kolkata', state: 'West Bengal', streams: ['Science', 'Arts'], courses: ['B.E.', 'BA', 'B.Sc'], cutoff: 85, homeStateCutoff: 75, entranceExam: 'WBJEE (engineering)', annualFees: 3000, website: 'https://jadavpuruniversity.in', deadlines: [['WBJEE registration closes', 1, 31], ['Arts and science admission closes', 6, 20]] },
+    { name: 'Presidency University', city: 'Kolkata', state: 'West Bengal', streams: ['Science', 'Arts'], courses: ['B.Sc (Hons)', 'BA (Hons)'], cutoff: 85, homeStateCutoff: 80, entranceExam: 'PUBDET', annualFees: 6000, website: 'https://www.presiuniv.ac.in', deadlines: [['PUBDET application closes', 4, 30]] },
+    { name: 'Patna Science College', city: 'Patna', state: 'Bihar', streams: ['Science'], courses: ['B.Sc'], cutoff: 70, homeStateCutoff: 60, annualFees: 4000, website: 'https://www.patnauniversity.ac.in', deadlines: [['UG admission form closes', 5, 31]] },
+    { name: 'Andhra University', city: 'Visakhapatnam', state: 'Andhra Pradesh', streams: ['Science', 'Commerce', 'Arts'], courses: ['B.Tech', 'B.Com', 'B.Sc', 'BA'], cutoff: 65, homeStateCutoff: 55, entranceExam: 'AP EAPCET (engineering)', annualFees: 25000, website: 'https://www.andhrauniversity.edu.in', deadlines: [['AP EAPCET registration closes', 4, 15], ['OAMDC degree admission closes', 7, 15]] }
+];
+
+const SEED_SCHOLARSHIPS = [
+    { name: 'Central Sector Scheme of Scholarships', provider: 'Ministry of Education (National Scholarship Portal)', amount: 12000, minMarks12: 80, deadline: [10, 31], website: 'https://scholarships.gov.in' },
+    { name: 'INSPIRE Scholarship for Higher Education', provider: 'Department of Science and Technology', amount: 80000, streams: ['Science'], minMarks12: 90, deadline: [11, 30], website: 'https://online-inspire.gov.in' },
+    { name: 'Reliance Foundation Undergraduate Scholarship', provider: 'Reliance Foundation', amount: 200000, minMarks12: 60, deadline: [10, 6], website: 'https://www.scholarships.reliancefoundation.org' },
+    { name: 'Swami Vivekananda Merit-cum-Means Scholarship', provider: 'Government of West Bengal', amount: 12000, states: ['West Bengal'], minMarks10: 60, minMarks12: 60, deadline: [12, 31], website: 'https://svmcm.wbhed.gov.in' },
+    { name: 'Vidyadhan Scholarship', provider: 'Sarojini Damodaran Foundation', amount: 10000, states: ['Andhra Pradesh', 'Bihar', 'Delhi', 'Maharashtra', 'Tamil Nadu'], minMarks10: 90, deadline: [6, 30], website: 'https://www.vidyadhan.org' }
+];
+
+// The next time a month/day comes round, today included
+const nextOccurrence = ([month, day], now) => {
+    const today = Date.parse(now.toISOString().slice(0, 10));
+    const date = Date.UTC(now.getUTCFullYear(), month - 1, day);
+    return new Date(date >= today ? date : Date.UTC(now.getUTCFullYear() + 1, month - 1, day));
+};
+
+// Fill the empty collections with the starting dataset
+async function seedCounselling(now = new Date()) {
+    const seeds = {
+        colleges: SEED_COLLEGES.map(c => ({
+            ...c,
+            deadlines: c.deadlines.map(([label, month, day]) => ({ label, date: nextOccurrence([month, day], now) }))
+        })),
+        scholarships: SEED_SCHOLARSHIPS.map(s => ({ ...s, deadline: nextOccurrence(s.deadline, now) }))
+    };
+    let seeded = 0;
+    for (const [kind, entries] of Object.entries(seeds)) {
+        const { model } = DATASETS[kind];
+        if (await model.estimatedDocumentCount()) continue;
+        try {
+            const docs = await model.insertMany(entries.map(e => ({ ...e, slug: slugify(e.name) })), { ordered: false });
+            seeded += docs.length;
+        } catch (e) {
+            // Another instance seeding at the same time
+            if (e.code !== 11000) throw e;
+        }
+    }
+    return seeded;
+}
+
+module.exports = {
+    STREAMS,
+    listEntries,
+    createEntry,
+    updateEntry,
+    deleteEntry,
+    recommendFor,
+    admissionTimeline,
+    seedCounselling
+};
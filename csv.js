@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes, CRLF or LF)
+
+// Text cells a spreadsheet would run as a formula (e.g. a student named =HYPERLINK(...))
+// are written with a leading ' so they show as text, and read back without it
+const FORMULA_START = /^[=+\-@\t\r]/;
+const unescapeFormula = (cell) => cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (!nonEmpty.length) return [];
+    const header = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, idx) => [h, unescapeFormula(r[idx] ?? '')])));
+};
+
+const escapeCell = (value) => {
+    let str = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Serialize objects into CSV text with the given column order
+const toCsv = (rows, columns) => {
+    const lines = [columns.map(escapeCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(col => escapeCell(row[col])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
@@ -4,7 +4,12 @@ const Schema = mongoose.Schema;
 const usersSchema = new Schema({
     fullname: String,
     email: { type: String, unique: true },
+    emailVerified: { type: Boolean, default: false },
     password: String,
+    passwordChangedAt: { type: Date, default: null },
+    // Consecutive failed sign-ins and the lockout they caused (see account.js)
+    failedLogins: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
     phone: String,
     state: String,
     username: { type: String, unique: true },
@@ -19,12 +24,38 @@ const usersSchema = new Schema({
     totalXP: { type: Number, default: 0 },
     dailyXP: { type: Number, default: 0 },
     xpGoal: { type: Number, default: 50 },
-    avatar: { type: String, default: '' },
+    avatar: { type: String, default: '' },  // URL of the avatar image (see media.js)
+    avatarMediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media', default: null },
     lastProgressDate: { type: Date, default: null },
-    role: { type: String, enum: ['Student', 'Teacher'], default: 'Student' },
-    rating: { type: Number, default: 0.0 }
+    // Streak bookkeeping, in 'YYYY-MM-DD' days of the user's timezone (see streak.js)
+    timezone: { type: String, default: 'Asia/Kolkata' },
+    lastActiveDay: { type: String, default: null },
+    dailyXPDay: { type: String, default: null },
+    lastGoalMetDay: { type: String, default: null },
+    longestStreak: { type: Number, default: 0 },
+    streakFreezes: { type: Number, default: 0 },
+    league: { type: Number, default: 0 },  // Index into LEAGUE_TIERS in leaderboard.js
+    ownedFrames: { type: [String], default: [] },  // Cosmetic avatar frames bought in the shop
+    avatarFrame: { type: String, default: '' },
+    // Everyone signs up as a Student; Teacher comes from an approved TeacherApplication,
+    // Admin from ADMIN_USERNAMES or another admin (permissions are in auth.js)
+    role: { type: String, enum: ['Student', 'Teacher', 'Admin'], default: 'Student' },
+    disabled: { type: Boolean, default: false },  // Set by an admin; blocks sign-in
+    // Teacher rating, kept up to date as reviews are written (see reviews.js)
+    rating: { type: Number, default: 0.0 },
+    ratingCount: { type: Number, default: 0 },
+    ratingSum: { type: Number, default: 0 },
+    ratingStars: { type: [Number], default: [0, 0, 0, 0, 0] },  // Reviews with 1..5 stars
+    // Teacher profile, used by teacher search
+    subjects: { type: [String], default: [] },
+    bio: { type: String, default: '' },
+    // Set when an admin approves the teacher's identity documents (see verification.js)
+    verified: { type: Boolean, default: false },
+    verifiedAt: { type: Date, default: null }
 });
 
+usersSchema.index({ role: 1, subjects: 1 });
+
 const questionSchema = new Schema({
     id: { type: String, unique: true },
     type: { type: String, enum: ['fill-in-the-blanks', 'multiple-choice', 'visual'] },
@@ -35,10 +66,34 @@ const questionSchema = new Schema({
         imageUrl: { type: String, default: '' }
     }],
     correctAnswer: String,
+    acceptedAnswers: { type: [String], default: [] },  // Alternate spellings for fill-in-the-blanks
     feedback: String,
-    topic: String
+    topic: String,
+    difficulty: { type: Number, min: 1, max: 5, default: 3 },  // Authored level, 1 (easy) to 5 (hard)
+    rating: { type: Number, default: 1000 },  // Elo rating, starts from the difficulty and adjusts to answers
+    // Only published questions are served in quizzes; archived ones are kept for history
+    status: { type: String, enum: ['draft', 'published', 'archived'], default: 'draft' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'users', default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'users', default: null }
+}, { timestamps: true });
+
+questionSchema.index({ topic: 1, status: 1 });
+
+// Who changed which question fields, and when
+const questionAuditSchema = new Schema({
+    questionId: { type: String, required: true },
+    action: { type: String, enum: ['create', 'update', 'archive', 'import'], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
+    changes: [{
+        field: String,
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed
+    }],
+    at: { type: Date, default: Date.now }
 });
 
+questionAuditSchema.index({ questionId: 1, at: -1 });
+
 const progressSchema = new Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
     questionId: String,
@@ -46,42 +101,565 @@ const progressSchema = new Schema({
     isCorrect: Boolean,
     brains: Number,
     userAnswer: String,
+    topic: String,
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizSession', default: null },
+    offline: { type: Boolean, default: false },  // Answered from a topic pack and synced later
     timestamp: { type: Date, default: Date.now }
 });
 
+progressSchema.index({ timestamp: 1 });
+// A user's answers by date, for their analytics and teacher reports
+progressSchema.index({ userId: 1, timestamp: -1 });
+
+// One quiz run through a topic; the server owns the question order, grading, XP and brains
+const quizSessionSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    topic: { type: String, required: true },
+    // 'review' sessions draw due questions from every topic (their topic is REVIEW_TOPIC);
+    // 'homework' sessions ask a teacher's questions in order (see homework.js)
+    mode: { type: String, enum: ['learn', 'review', 'homework'], default: 'learn' },
+    homeworkId: { type: mongoose.Schema.Types.ObjectId, ref: 'Homework', default: null },
+    status: { type: String, enum: ['active', 'completed', 'abandoned'], default: 'active' },
+    questions: [{
+        questionId: String,
+        servedAt: { type: Date, default: Date.now },
+        answeredAt: { type: Date, default: null },
+        userAnswer: { type: String, default: null },
+        isCorrect: { type: Boolean, default: null },
+        skipped: { type: Boolean, default: false },
+        xp: { type: Number, default: 0 }
+    }],
+    totalQuestions: { type: Number, default: 10 },
+    xp: { type: Number, default: 0 },
+    brains: { type: Number, default: 5 },
+    maxBrains: { type: Number, default: 5 },
+    startedAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+    bonusClaimed: { type: Boolean, default: false }  // Lesson completion bonus, paid once
+});
+
+// Only one active session per user and topic, so a reload resumes instead of starting over
+quizSessionSchema.index({ userId: 1, topic: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+// SM-2 spaced-repetition state per user and question, derived from their Progress answers
+const reviewScheduleSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    questionId: { type: String, required: true },
+    topic: String,
+    easiness: { type: Number, default: 2.5 },
+    interval: { type: Number, default: 0 },  // days
+    repetitions: { type: Number, default: 0 },
+    lapses: { type: Number, default: 0 },
+    dueAt: { type: Date, default: Date.now },
+    lastReviewedAt: { type: Date, default: null }
+});
+
+reviewScheduleSchema.index({ userId: 1, questionId: 1 }, { unique: true });
+reviewScheduleSchema.index({ userId: 1, dueAt: 1 });
+
+// Elo-style estimate of how well a user knows a topic, updated from every graded answer
+const topicMasterySchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    topic: { type: String, required: true },
+    rating: { type: Number, default: 1000 },
+    answered: { type: Number, default: 0 },
+    correct: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+topicMasterySchema.index({ userId: 1, topic: 1 }, { unique: true });
+
+// Append-only record of every gems/crowns change. User balances are a cache of its sums.
+const currencyLedgerSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    currency: { type: String, enum: ['gems', 'crowns'], required: true },
+    amount: { type: Number, required: true },  // Positive to earn, negative to spend
+    reason: {
+        type: String,
+        enum: ['opening-balance', 'xp-goal', 'streak-milestone', 'topic-level', 'purchase', 'refund', 'adjustment'],
+        required: true
+    },
+    // Unique per user so each reward or purchase is only ever recorded once
+    key: { type: String, required: true },
+    meta: { type: Schema.Types.Mixed, default: {} },
+    createdAt: { type: Date, default: Date.now }
+});
+
+currencyLedgerSchema.index({ userId: 1, key: 1 }, { unique: true });
+currencyLedgerSchema.index({ userId: 1, createdAt: -1 });
+
+const rejectLedgerChange = function (next) {
+    next(new Error('The currency ledger is append-only'));
+};
+currencyLedgerSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectLedgerChange);
+currencyLedgerSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectLedgerChange);
+currencyLedgerSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectLedgerChange(next);
+    next();
+});
+
+// Outcome of one user's week in their league; written once when the week is closed
+const leagueResultSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    week: { type: String, required: true },  // 'YYYY-MM-DD' of the Monday the week started
+    league: { type: Number, required: true },
+    rank: Number,
+    xp: Number,
+    outcome: { type: String, enum: ['promoted', 'demoted', 'stayed'], required: true }
+});
+
+leagueResultSchema.index({ userId: 1, week: 1 }, { unique: true });
+
+// Marks a league week as closed so promotions and demotions run exactly once
+const leagueWeekSchema = new Schema({
+    week: { type: String, required: true, unique: true },
+    closedAt: { type: Date, default: Date.now }
+});
+
+// Badges a user has earned (definitions live in achievements.js)
+const userAchievementSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    achievementId: { type: String, required: true },
+    awardedAt: { type: Date, default: Date.now }
+});
+
+userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
+
 const coursesSchema = new Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
     title: String,
-    progress: Number
+    topic: String,
+    progress: Number  // Percent, computed from TopicMastery
+});
+
+coursesSchema.index({ userId: 1, topic: 1 });
+
+// A conversation with the AI tutor. Only the latest messages are kept (see chat.js).
+const chatConversationSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    title: { type: String, default: 'New conversation' },
+    topic: { type: String, default: null },  // What the learner was studying when it started
+    messages: [{
+        role: { type: String, enum: ['user', 'assistant'], required: true },
+        content: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+chatConversationSchema.index({ userId: 1, updatedAt: -1 });
+
+// Chat messages a user sent on a day in their timezone, for the daily quota
+const chatUsageSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    day: { type: String, required: true },  // 'YYYY-MM-DD'
+    count: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+});
+
+chatUsageSchema.index({ userId: 1, day: 1 }, { unique: true });
+chatUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// A signed-in device. The refresh token is only stored hashed, and is replaced on every
+// refresh; access tokens carry the session id so revoking it logs the device out.
+const authSessionSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null },  // To spot a stolen, already-rotated token
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+// Sessions are removed a while after they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Single-use token sent by email to verify an address or reset a password. Only its hash is stored.
+const authTokenSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    purpose: { type: String, enum: ['verify-email', 'reset-password'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    email: String,  // Address a verification token was sent to
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null }
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// A user asking to become a teacher; an admin approves or rejects it
+const teacherApplicationSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    subjects: { type: [String], default: [] },
+    bio: { type: String, default: '' },
+    qualifications: { type: String, default: '' },
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'users', default: null },
+    reviewedAt: { type: Date, default: null },
+    note: { type: String, default: '' },  // The admin's reason, shown to the applicant
+    createdAt: { type: Date, default: Date.now }
+});
+
+// One open application per user
+teacherApplicationSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+teacherApplicationSchema.index({ status: 1, createdAt: 1 });
+
+// A teacher's identity documents, sent for the verified badge. Files are kept in storage.js
+// under `storageKey`; every change of status is added to `history`.
+const verificationRequestSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    status: { type: String, enum: ['submitted', 'under-review', 'approved', 'rejected'], default: 'submitted' },
+    open: { type: Boolean, default: true },  // Until approved or rejected
+    documents: [{
+        kind: { type: String, enum: ['aadhaar', 'pan', 'other'], required: true },
+        storageKey: { type: String, required: true },
+        originalName: { type: String, default: '' },
+        contentType: String,
+        size: Number,
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+    note: { type: String, default: '' },  // From the teacher, for the reviewer
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', default: null },
+    reason: { type: String, default: '' },  // Why it was rejected, shown to the teacher
+    history: [{
+        status: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
+        reason: { type: String, default: '' },
+        at: { type: Date, default: Date.now }
+    }],
+    decidedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// One open request per teacher
+verificationRequestSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { open: true } });
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+
+// A student asking a teacher to take them on for a subject; accepting creates a StudentAssignment
+const teacherRequestSchema = new Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    subject: { type: String, required: true },
+    message: { type: String, default: '' },
+    status: { type: String, enum: ['pending', 'accepted', 'declined', 'cancelled'], default: 'pending' },
+    createdAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date, default: null }
 });
 
+// One open request per student, teacher and subject
+teacherRequestSchema.index({ studentId: 1, teacherId: 1, subject: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+teacherRequestSchema.index({ teacherId: 1, status: 1, createdAt: -1 });
+
 const studentAssignmentSchema = new Schema({
     teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
     studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
     subject: { type: String, required: true },
-    assignedAt: { type: Date, default: Date.now }
+    requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'TeacherRequest', default: null },
+    // Records from before requests have no status and count as active
+    status: { type: String, enum: ['active', 'ended'], default: 'active' },
+    assignedAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null },
+    endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'users', default: null }
 });
 
+studentAssignmentSchema.index({ teacherId: 1, studentId: 1, subject: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+studentAssignmentSchema.index({ studentId: 1, status: 1 });
+
+// A review of a teacher by their student, or of a freelancer (teacherId) by the client
+// (studentId) of a finished contract. The first count towards the user's teaching rating,
+// the second towards the rating on their freelancer profile.
 const reviewSchema = new Schema({
     teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
     studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
+    contractId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contract', default: null },
     rating: { type: Number, min: 1, max: 5, required: true },
     comment: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: null }
+});
+
+// One review per student and teacher, and one per contract
+reviewSchema.index({ teacherId: 1, studentId: 1, contractId: 1 }, { unique: true });
+
+// Work a teacher set for some of their students: fixed questions, asked in order, by a due date.
+// Homework for "N questions from a topic" has its questions picked when it is set.
+const homeworkSchema = new Schema({
+    teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    title: { type: String, required: true },
+    instructions: { type: String, default: '' },
+    topic: { type: String, default: null },
+    questionIds: { type: [String], required: true },
+    studentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'users' }],
+    dueAt: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+homeworkSchema.index({ teacherId: 1, createdAt: -1 });
+
+// One student's homework, from being set to being handed in
+const homeworkSubmissionSchema = new Schema({
+    homeworkId: { type: mongoose.Schema.Types.ObjectId, ref: 'Homework', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    dueAt: { type: Date, required: true },  // Copied from the homework for listing by due date
+    status: { type: String, enum: ['assigned', 'started', 'submitted'], default: 'assigned' },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizSession', default: null },
+    startedAt: { type: Date, default: null },
+    submittedAt: { type: Date, default: null },
+    correct: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    score: { type: Number, default: null },  // Percent correct
+    xp: { type: Number, default: 0 },
+    late: { type: Boolean, default: false }
+});
+
+homeworkSubmissionSchema.index({ homeworkId: 1, studentId: 1 }, { unique: true });
+homeworkSubmissionSchema.index({ studentId: 1, dueAt: 1 });
+
+// Freelance marketplace (see marketplace.js). Skills are kept as written for display and
+// lowercased in skillKeys for search.
+const freelancerProfileSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true, unique: true },
+    headline: { type: String, required: true },
+    bio: { type: String, default: '' },
+    skills: { type: [String], default: [] },
+    skillKeys: { type: [String], default: [] },
+    categories: { type: [String], default: [] },
+    hourlyRate: { type: Number, min: 0, required: true },  // ₹ per hour
+    location: { type: String, default: '' },
+    available: { type: Boolean, default: true },
+    completedContracts: { type: Number, default: 0 },
+    // Freelancer rating from contract reviews, kept apart from the teaching rating on the user
+    rating: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+    ratingSum: { type: Number, default: 0 },
+    ratingStars: { type: [Number], default: [0, 0, 0, 0, 0] }
+}, { timestamps: true });
+
+freelancerProfileSchema.index({ skillKeys: 1 });
+freelancerProfileSchema.index({ categories: 1, available: 1 });
+
+const jobSchema = new Schema({
+    clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    title: { type: String, required: true },
+    description: { type: String, default: '' },
+    category: { type: String, required: true },
+    skills: { type: [String], default: [] },
+    skillKeys: { type: [String], default: [] },
+    budget: { type: Number, min: 0, required: true },  // ₹ for the whole job
+    deadline: { type: Date, default: null },
+    status: { type: String, enum: ['open', 'in-progress', 'completed', 'cancelled'], default: 'open' },
+    proposalCount: { type: Number, default: 0 },
+    contractId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contract', default: null }
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, category: 1, createdAt: -1 });
+jobSchema.index({ status: 1, skillKeys: 1 });
+jobSchema.index({ clientId: 1, createdAt: -1 });
+
+const proposalSchema = new Schema({
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    freelancerId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    coverLetter: { type: String, default: '' },
+    amount: { type: Number, min: 0, required: true },  // ₹ asked for the job
+    estimatedDays: { type: Number, min: 1, default: null },
+    status: { type: String, enum: ['pending', 'accepted', 'rejected', 'withdrawn'], default: 'pending' },
+    respondedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// One proposal per freelancer and job
+proposalSchema.index({ jobId: 1, freelancerId: 1 }, { unique: true });
+proposalSchema.index({ freelancerId: 1, createdAt: -1 });
+
+// An accepted proposal: the agreed amount between the job's client and the freelancer
+const contractSchema = new Schema({
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true, unique: true },
+    proposalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Proposal', required: true },
+    clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    freelancerId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    amount: { type: Number, required: true },
+    deadline: { type: Date, default: null },
+    status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active' },
+    startedAt: { type: Date, default: Date.now },
+    endedAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'users', default: null }
+}, { timestamps: true });
+
+contractSchema.index({ clientId: 1, createdAt: -1 });
+contractSchema.index({ freelancerId: 1, createdAt: -1 });
+
+// A version of a topic's offline pack. A new version is made whenever the topic's published
+// questions change (contentHash); the salt the answers are hashed with is new each time.
+const topicPackSchema = new Schema({
+    topic: { type: String, required: true },
+    version: { type: Number, required: true },
+    contentHash: { type: String, required: true },
+    salt: { type: String, required: true },
+    questionCount: { type: Number, default: 0 },
+    questionIds: { type: [String], default: [] },  // What offline answers to this version may be for
+    builtAt: { type: Date, default: Date.now }
+});
+
+topicPackSchema.index({ topic: 1, version: -1 }, { unique: true });
+
+// Pack versions a user has downloaded; offline answers are only taken for those
+const packDownloadSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    topic: { type: String, required: true },
+    version: { type: Number, required: true },
+    downloadedAt: { type: Date, default: Date.now }
+});
+
+packDownloadSchema.index({ userId: 1, topic: 1, version: 1 }, { unique: true });
+
+// Answers synced from offline packs, by the idempotency key the client gave them, so a
+// batch sent twice is only credited once. Kept longer than the oldest answer sync accepts.
+const offlineAnswerSchema = new Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    key: { type: String, required: true },
+    status: { type: String, enum: ['processing', 'done'], default: 'processing' },
+    questionId: String,
+    answeredAt: Date,
+    result: { type: Schema.Types.Mixed, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+offlineAnswerSchema.index({ userId: 1, key: 1 }, { unique: true });
+offlineAnswerSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// An uploaded image and its resized variants, kept in the storage backend (see media.js)
+const mediaSchema = new Schema({
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'users', required: true },
+    purpose: { type: String, enum: ['avatar'], required: true },
+    variants: [{
+        name: { type: String, required: true },
+        storageKey: { type: String, required: true },
+        contentType: { type: String, required: true },
+        width: Number,
+        height: Number,
+        size: Number
+    }],
+    source: {
+        contentType: String,
+        size: Number
+    },
     createdAt: { type: Date, default: Date.now }
 });
 
+mediaSchema.index({ ownerId: 1, purpose: 1 });
+
+// Counselling dataset (see counselling.js): seeded on startup, kept current by admins
+const deadlineSchema = new Schema({
+    label: { type: String, required: true },
+    date: { type: Date, required: true }
+}, { _id: false });
+
+const collegeSchema = new Schema({
+    slug: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    city: { type: String, default: '' },
+    state: { type: String, required: true },
+    ownership: { type: String, enum: ['government', 'private'], default: 'government' },
+    streams: { type: [String], default: [] },  // 12th streams admitted: Science, Commerce, Arts
+    courses: { type: [String], default: [] },
+    cutoff: { type: Number, min: 0, max: 100, required: true },  // 12th % last admitted
+    homeStateCutoff: { type: Number, min: 0, max: 100, default: null },  // for students from its state
+    entranceExam: { type: String, default: '' },
+    annualFees: { type: Number, min: 0, default: 0 },  // ₹
+    website: { type: String, default: '' },
+    deadlines: { type: [deadlineSchema], default: [] },
+    active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+collegeSchema.index({ active: 1, streams: 1, cutoff: -1 });
+
+const scholarshipSchema = new Schema({
+    slug: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    provider: { type: String, default: '' },
+    amount: { type: Number, min: 0, default: 0 },  // ₹ a year
+    streams: { type: [String], default: [] },  // empty: any stream
+    states: { type: [String], default: [] },  // empty: all of India
+    minMarks10: { type: Number, min: 0, max: 100, default: 0 },
+    minMarks12: { type: Number, min: 0, max: 100, default: 0 },
+    deadline: { type: Date, required: true },
+    website: { type: String, default: '' },
+    active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+scholarshipSchema.index({ active: 1, deadline: 1 });
+
 const usersModel = mongoose.model('users', usersSchema);
 const Question = mongoose.model('Question', questionSchema);
+const QuestionAudit = mongoose.model('QuestionAudit', questionAuditSchema);
 const Progress = mongoose.model('Progress', progressSchema);
+const TopicMastery = mongoose.model('TopicMastery', topicMasterySchema);
+const CurrencyLedger = mongoose.model('CurrencyLedger', currencyLedgerSchema);
+const LeagueResult = mongoose.model('LeagueResult', leagueResultSchema);
+const LeagueWeek = mongoose.model('LeagueWeek', leagueWeekSchema);
+const UserAchievement = mongoose.model('UserAchievement', userAchievementSchema);
 const Courses = mongoose.model('Courses', coursesSchema);
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+const ChatConversation = mongoose.model('ChatConversation', chatConversationSchema);
+const ChatUsage = mongoose.model('ChatUsage', chatUsageSchema);
+const TeacherApplication = mongoose.model('TeacherApplication', teacherApplicationSchema);
+const TeacherRequest = mongoose.model('TeacherRequest', teacherRequestSchema);
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
 const StudentAssignment = mongoose.model('StudentAssignment', studentAssignmentSchema);
 const Review = mongoose.model('Review', reviewSchema);
+const Homework = mongoose.model('Homework', homeworkSchema);
+const HomeworkSubmission = mongoose.model('HomeworkSubmission', homeworkSubmissionSchema);
+const QuizSession = mongoose.model('QuizSession', quizSessionSchema);
+const ReviewSchedule = mongoose.model('ReviewSchedule', reviewScheduleSchema);
+const FreelancerProfile = mongoose.model('FreelancerProfile', freelancerProfileSchema);
+const Job = mongoose.model('Job', jobSchema);
+const Proposal = mongoose.model('Proposal', proposalSchema);
+const Contract = mongoose.model('Contract', contractSchema);
+const TopicPack = mongoose.model('TopicPack', topicPackSchema);
+const PackDownload = mongoose.model('PackDownload', packDownloadSchema);
+const OfflineAnswer = mongoose.model('OfflineAnswer', offlineAnswerSchema);
+const Media = mongoose.model('Media', mediaSchema);
+const College = mongoose.model('College', collegeSchema);
+const Scholarship = mongoose.model('Scholarship', scholarshipSchema);
 
 module.exports = {
     usersModel,
     Question,
+    QuestionAudit,
     Progress,
+    TopicMastery,
+    CurrencyLedger,
+    LeagueResult,
+    LeagueWeek,
+    UserAchievement,
     Courses,
+    AuthSession,
+    AuthToken,
+    ChatConversation,
+    ChatUsage,
+    TeacherApplication,
+    TeacherRequest,
+    VerificationRequest,
     StudentAssignment,
-    Review
+    Review,
+    Homework,
+    HomeworkSubmission,
+    QuizSession,
+    ReviewSchedule,
+    FreelancerProfile,
+    Job,
+    Proposal,
+    Contract,
+    TopicPack,
+    PackDownload,
+    OfflineAnswer,
+    Media,
+    College,
+    Scholarship
 };
\ No newline at end of file
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { usersModel, CurrencyLedger, QuizSession, TopicMastery } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { STREAK_FREEZE_COST, MAX_STREAK_FREEZES } = require('./streak.js');
+const { masteryPercent } = require('./mastery.js');
+
+// Earning rules
+const XP_GOAL_GEMS = 5;
+const STREAK_MILESTONE_GEMS = { 3: 5, 7: 10, 14: 15, 30: 30, 50: 40, 100: 75, 365: 200 };
+// A topic level is finished when mastery first reaches each of these percentages; one crown each
+const TOPIC_LEVELS = [20, 40, 60, 80, 95];
+
+// Everything the shop sells. `condition` and `effect` are applied atomically with the payment.
+const SHOP_ITEMS = {
+    'brains-refill': { name: 'Brains refill', description: 'Refill your brains in the current lesson', price: 5, kind: 'refill' },
+    'streak-freeze': {
+        name: 'Streak freeze',
+        description: 'Keeps your streak alive for one missed day',
+        price: STREAK_FREEZE_COST,
+        kind: 'streak-freeze',
+        condition: { streakFreezes: { $lt: MAX_STREAK_FREEZES } },
+        effect: { $inc: { streakFreezes: 1 } }
+    },
+    'frame-bronze': { name: 'Bronze frame', description: 'Avatar frame', price: 20, kind: 'avatar-frame' },
+    'frame-silver': { name: 'Silver frame', description: 'Avatar frame', price: 40, kind: 'avatar-frame' },
+    'frame-gold': { name: 'Gold frame', description: 'Avatar frame', price: 75, kind: 'avatar-frame' },
+    'frame-rainbow': { name: 'Rainbow frame', description: 'Avatar frame', price: 120, kind: 'avatar-frame' }
+};
+
+const formatShopItem = (id, item) => ({
+    id,
+    name: item.name,
+    description: item.description,
+    price: item.price,
+    currency: 'gems',
+    kind: item.kind
+});
+
+// Users who had gems or crowns before the ledger get one opening entry per currency,
+// so that the ledger alone adds up to their balance
+async function ensureOpeningBalance(userId) {
+    if (await CurrencyLedger.exists({ userId })) return;
+    const user = await usersModel.findById(userId).select('gems crowns');
+    if (!user) return;
+    for (const currency of ['gems', 'crowns']) {
+        if (!user[currency]) continue;
+        try {
+            await CurrencyLedger.create({ userId, currency, amount: user[currency], reason: 'opening-balance', key: `opening:${currency}` });
+        } catch (e) {
+            if (e.code !== 11000) throw e;
+        }
+    }
+}
+
+// Record a reward and add it to the balance. Returns false if this key was already paid.
+async function credit(userId, currency, amount, reason, key, meta = {}) {
+    await ensureOpeningBalance(userId);
+    try {
+        await CurrencyLedger.create({ userId, currency, amount, reason, key, meta });
+    } catch (e) {
+        if (e.code === 11000) return false;
+        throw e;
+    }
+    await usersModel.updateOne({ _id: userId }, { $inc: { [currency]: amount } });
+    return true;
+}
+
+// Gems for reaching the daily goal and for streak milestones, from recordActivity's result
+async function rewardActivity(userId, activity) {
+    const rewards = [];
+    if (!activity) return rewards;
+
+    if (activity.goalReached && await credit(userId, 'gems', XP_GOAL_GEMS, 'xp-goal', `xp-goal:${activity.today}`)) {
+        rewards.push({ currency: 'gems', amount: XP_GOAL_GEMS, reason: 'xp-goal' });
+    }
+
+    const streak = activity.user && activity.user.streak;
+    const milestoneGems = STREAK_MILESTONE_GEMS[streak];
+    if (activity.streakExtended && milestoneGems &&
+        await credit(userId, 'gems', milestoneGems, 'streak-milestone', `streak:${streak}:${activity.today}`, { streak })) {
+        rewards.push({ currency: 'gems', amount: milestoneGems, reason: 'streak-milestone', streak });
+    }
+
+    return rewards;
+}
+
+// Crowns for every topic level newly reached, checked when a lesson is finished
+async function rewardTopicLevels(userId, topic) {
+    const mastery = await TopicMastery.findOne({ userId, topic });
+    const percent = masteryPercent(mastery);
+    const rewards = [];
+    for (const [index, threshold] of TOPIC_LEVELS.entries()) {
+        if (percent < threshold) break;
+        const level = index + 1;
+        if (await credit(userId, 'crowns', 1, 'topic-level', `topic-level:${topic}:${level}`, { topic, level })) {
+            rewards.push({ currency: 'crowns', amount: 1, reason: 'topic-level', topic, level });
+        }
+    }
+    return rewards;
+}
+
+// Take gems for an item, applying its effect in the same update. Throws if unaffordable.
+async function debit(userId, itemId, item, extra = {}) {
+    await ensureOpeningBalance(userId);
+    const update = { ...(item.effect || {}), ...extra.effect };
+    update.$inc = { ...(update.$inc || {}), gems: -item.price };
+
+    const user = await usersModel.findOneAndUpdate(
+        { _id: userId, gems: { $gte: item.price }, ...(item.condition || {}), ...extra.condition },
+        update,
+        { new: true }
+    );
+    if (!user) return null;
+
+    const key = `purchase:${itemId}:${crypto.randomUUID()}`;
+    await CurrencyLedger.create({ userId, currency: 'gems', amount: -item.price, reason: 'purchase', key, meta: { itemId, ...extra.meta } });
+    return { user, key };
+}
+
+// Buy a shop item. Brains refills need the topic of the active lesson.
+async function purchase(userId, itemId, { topic } = {}) {
+    const item = SHOP_ITEMS[itemId];
+    if (!item) throw new ApiError(404, 'itemId', 'No such item in the shop');
+
+    const current = await usersModel.findById(userId);
+    if (!current) throw new ApiError(404, 'user', 'User not found');
+    const notEnoughGems = () => new ApiError(402, 'gems', `${item.name} costs ${item.price} gems`);
+
+    if (item.kind === 'refill') {
+        const session = topic && await QuizSession.findOne({ userId, topic: topic.toLowerCase(), status: 'active' });
+        if (!session) throw new ApiError(404, 'topic', 'No active lesson to refill');
+        if (session.brains >= session.maxBrains) throw new ApiError(409, 'brains', 'Your brains are already full');
+
+        const paid = await debit(userId, itemId, item, { meta: { sessionId: session._id } });
+        if (!paid) throw notEnoughGems();
+
+        const refilled = await QuizSession.findOneAndUpdate(
+            { _id: session._id, status: 'active' },
+            [{ $set: { brains: '$maxBrains' } }],
+            { new: true }
+        );
+        if (!refilled) {
+            // The lesson ended in the meantime; give the gems back
+            await credit(userId, 'gems', item.price, 'refund', `refund:${paid.key}`, { itemId });
+            throw new ApiError(409, 'topic', 'The lesson ended before the refill');
+        }
+        return { item: formatShopItem(itemId, item), user: paid.user, session: refilled };
+    }
+
+    if (item.kind === 'avatar-frame') {
+        if (current.ownedFrames.includes(itemId)) throw new ApiError(409, 'itemId', 'You already own this frame');
+        const paid = await debit(userId, itemId, item, {
+            condition: { ownedFrames: { $ne: itemId } },
+            effect: { $addToSet: { ownedFrames: itemId } }
+        });
+        if (!paid) throw notEnoughGems();
+        return { item: formatShopItem(itemId, item), user: paid.user };
+    }
+
+    if (item.kind === 'streak-freeze' && (current.streakFreezes || 0) >= MAX_STREAK_FREEZES) {
+        throw new ApiError(409, 'streakFreezes', `You can hold at most ${MAX_STREAK_FREEZES} streak freezes`);
+    }
+    const paid = await debit(userId, itemId, item);
+    if (!paid) throw notEnoughGems();
+    return { item: formatShopItem(itemId, item), user: paid.user };
+}
+
+// Wear an owned frame (or none with an empty id)
+async function equipFrame(userId, frameId) {
+    if (frameId && !SHOP_ITEMS[frameId]) throw new ApiError(404, 'frameId', 'No such frame');
+    const user = await usersModel.findOneAndUpdate(
+        frameId ? { _id: userId, ownedFrames: frameId } : { _id: userId },
+        { $set: { avatarFrame: frameId } },
+        { new: true }
+    );
+    if (!user) throw new ApiError(403, 'frameId', 'Buy this frame in the shop first');
+    return user;
+}
+
+// Balances as the ledger adds them up
+async function ledgerBalances(userId) {
+    await ensureOpeningBalance(userId);
+    const sums = await CurrencyLedger.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: '$currency', total: { $sum: '$amount' } } }
+    ]);
+    const balances = { gems: 0, crowns: 0 };
+    for (const s of sums) balances[s._id] = s.total;
+    return balances;
+}
+
+// Reset the cached balances on the user from the ledger
+async function rebuildBalances(userId) {
+    const balances = await ledgerBalances(userId);
+    await usersModel.updateOne({ _id: userId }, { $set: balances });
+    return balances;
+}
+
+async function listTransactions(userId, { limit = 50, before } = {}) {
+    const filter = { userId };
+    if (before) filter.createdAt = { $lt: before };
+    const entries = await CurrencyLedger.find(filter).sort({ createdAt: -1 }).limit(limit);
+    return entries.map(e => ({
+        currency: e.currency,
+        amount: e.amount,
+        reason: e.reason,
+        meta: e.meta,
+        createdAt: e.createdAt
+    }));
+}
+
+module.exports = {
+    SHOP_ITEMS,
+    formatShopItem,
+    rewardActivity,
+    rewardTopicLevels,
+    purchase,
+    equipFrame,
+    ledgerBalances,
+    rebuildBalances,
+    listTransactions
+};
@@ -0,0 +1,37 @@
+// Error carrying an HTTP status and the `{ path, message }` pair our routes send back
+class ApiError extends Error {
+    constructor(status, path, message, errors) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.path = path;
+        this.errors = errors || [{ path, message }];
+    }
+
+    // 400 with one entry per zod issue, like the inline validation in server.js
+    static fromZod(zodError, prefix = '') {
+        const errors = zodError.issues.map(e => ({
+            path: prefix + e.path.join("."),
+            message: e.message
+        }));
+        return new ApiError(400, errors[0]?.path || '', errors[0]?.message || 'Invalid value', errors);
+    }
+}
+
+// Send an ApiError in the usual `{ errors: [...] }` shape; returns false for anything else
+const sendApiError = (res, e) => {
+    if (!(e instanceof ApiError)) return false;
+    res.status(e.status).json({ errors: e.errors });
+    return true;
+};
+
+// Send a 400 with every issue of the given zod errors; ones that are undefined are skipped
+const sendZodError = (res, ...zodErrors) => res.status(400).json({
+    errors: zodErrors.flatMap(e => e ? ApiError.fromZod(e).errors : [])
+});
+
+module.exports = {
+    ApiError,
+    sendApiError,
+    sendZodError
+};
@@ -0,0 +1,19 @@
+// Uploaded files are identified by their first bytes, not the type or extension the client claimed
+
+const startsWith = (buffer, bytes, at = 0) => buffer.length >= at + bytes.length && bytes.every((b, i) => buffer[at + i] === b);
+
+const FILE_TYPES = [
+    { contentType: 'application/pdf', extension: 'pdf', test: (b) => startsWith(b, [0x25, 0x50, 0x44, 0x46, 0x2d]) },
+    { contentType: 'image/png', extension: 'png', test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { contentType: 'image/jpeg', extension: 'jpg', test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+    { contentType: 'image/gif', extension: 'gif', test: (b) => startsWith(b, [0x47, 0x49, 0x46, 0x38]) },
+    // RIFF container with a WEBP form type
+    { contentType: 'image/webp', extension: 'webp', test: (b) => startsWith(b, [0x52, 0x49, 0x46, 0x46]) && startsWith(b, [0x57, 0x45, 0x42, 0x50], 8) }
+];
+
+// The type of a file among the allowed content types, or null
+const detectFileType = (buffer, allowed) => FILE_TYPES.find(t => allowed.includes(t.contentType) && t.test(buffer)) || null;
+
+module.exports = {
+    detectFileType
+};
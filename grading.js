@@ -0,0 +1,47 @@
+// Server-side grading for each questionSchema.type
+
+// Case, width and whitespace insensitive form of an answer; trailing punctuation is ignored
+const normalizeAnswer = (value) => String(value ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.!?;,]+$/, '')
+    .trim();
+
+// Typed answer: matches the correct answer or any of the accepted alternates
+const gradeFillInTheBlanks = (question, userAnswer) => {
+    const given = normalizeAnswer(userAnswer);
+    if (!given) return false;
+    const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])].map(normalizeAnswer);
+    return accepted.includes(given);
+};
+
+// Picked option: must be one of the question's options and be the correct one
+const gradeChoice = (question, userAnswer) => {
+    const given = normalizeAnswer(userAnswer);
+    const picked = (question.options || []).find(opt => normalizeAnswer(opt.value) === given);
+    if (!picked) return false;
+    return normalizeAnswer(picked.value) === normalizeAnswer(question.correctAnswer);
+};
+
+const graders = {
+    'fill-in-the-blanks': gradeFillInTheBlanks,
+    'multiple-choice': gradeChoice,
+    'visual': gradeChoice
+};
+
+// Grade a submitted answer against a Question document
+const gradeAnswer = (question, userAnswer) => {
+    const grader = graders[question.type] || gradeChoice;
+    return {
+        isCorrect: grader(question, userAnswer),
+        correctAnswer: question.correctAnswer,
+        feedback: question.feedback || ''
+    };
+};
+
+module.exports = {
+    normalizeAnswer,
+    gradeAnswer
+};
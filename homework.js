@@ -0,0 +1,222 @@
+const { usersModel, Question, QuizSession, StudentAssignment, Homework, HomeworkSubmission } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { ACTIVE } = require('./teachers.js');
+
+// Homework is done as a quiz session (mode 'homework') under this pseudo-topic plus its id,
+// so students get the usual quiz flow: one question at a time, XP and streaks (but no brains)
+const HOMEWORK_TOPIC_PREFIX = 'homework-';
+const homeworkTopic = (homeworkId) => `${HOMEWORK_TOPIC_PREFIX}${String(homeworkId).toLowerCase()}`;
+
+const formatHomework = (homework) => ({
+    id: homework._id,
+    title: homework.title,
+    instructions: homework.instructions,
+    topic: homework.topic,
+    questionCount: homework.questionIds.length,
+    dueAt: homework.dueAt,
+    createdAt: homework.createdAt
+});
+
+const formatSubmission = (submission, now = new Date()) => ({
+    status: submission.status,
+    overdue: submission.status !== 'submitted' && submission.dueAt < now,
+    startedAt: submission.startedAt,
+    submittedAt: submission.submittedAt,
+    correct: submission.correct,
+    total: submission.total,
+    score: submission.score,
+    xp: submission.xp,
+    late: submission.late
+});
+
+// The teacher's current students, or the ones asked for if they all are
+async function targetStudents(teacherId, studentIds) {
+    const assigned = (await StudentAssignment.distinct('studentId', { teacherId, ...ACTIVE })).map(String);
+    if (!studentIds) {
+        if (!assigned.length) throw new ApiError(409, 'studentIds', 'You have no students to set homework for');
+        return assigned;
+    }
+    const unknown = studentIds.filter(id => !assigned.includes(id));
+    if (unknown.length) throw new ApiError(400, 'studentIds', `Not your students: ${unknown.join(', ')}`);
+    return [...new Set(studentIds)];
+}
+
+// The questions by id, in the order given, or `count` published ones picked from `topic`
+async function chooseQuestions({ questionIds, topic, count }) {
+    if (questionIds) {
+        const ids = [...new Set(questionIds)];
+        const found = await Question.find({ id: { $in: ids }, status: 'published' }).distinct('id');
+        const missing = ids.filter(id => !found.includes(id));
+        if (missing.length) throw new ApiError(400, 'questionIds', `Unknown or unpublished questions: ${missing.join(', ')}`);
+        return ids;
+    }
+    const picked = await Question.aggregate([
+        { $match: { topic, status: 'published' } },
+        { $sample: { size: count } },
+        { $project: { id: 1 } }
+    ]);
+    if (!picked.length) throw new ApiError(400, 'topic', 'No questions available for this topic');
+    return picked.map(q => q.id);
+}
+
+// A teacher sets homework for some (by default all) of their students
+async function createHomework(teacherId, { title, instructions = '', questionIds, topic, count = 10, dueAt, studentIds }, now = new Date()) {
+    if (dueAt <= now) throw new ApiError(400, 'dueAt', 'The due date must be in the future');
+    const students = await targetStudents(teacherId, studentIds);
+    const chosen = await chooseQuestions({ questionIds, topic, count });
+
+    const homework = await Homework.create({
+        teacherId,
+        title,
+        instructions,
+        topic: questionIds ? null : topic,
+        questionIds: chosen,
+        studentIds: students,
+        dueAt
+    });
+    await HomeworkSubmission.insertMany(students.map(studentId => ({ homeworkId: homework._id, studentId, dueAt })));
+    return { ...formatHomework(homework), studentCount: students.length };
+}
+
+// The teacher's homework, newest first, with how many students have handed it in
+async function listHomeworkOf(teacherId) {
+    const homework = await Homework.find({ teacherId }).sort({ createdAt: -1 });
+    const counts = await HomeworkSubmission.aggregate([
+        { $match: { homeworkId: { $in: homework.map(h => h._id) } } },
+        {
+            $group: {
+                _id: '$homeworkId',
+                students: { $sum: 1 },
+                submitted: { $sum: { $cond: [{ $eq: ['$status', 'submitted'] }, 1, 0] } },
+                late: { $sum: { $cond: ['$late', 1, 0] } },
+                averageScore: { $avg: '$score' }
+            }
+        }
+    ]);
+    const byId = new Map(counts.map(c => [c._id.toString(), c]));
+    return homework.map(h => {
+        const c = byId.get(h._id.toString()) || {};
+        return {
+            ...formatHomework(h),
+            students: c.students || 0,
+            submitted: c.submitted || 0,
+            late: c.late || 0,
+            averageScore: c.averageScore === null || c.averageScore === undefined ? null : Math.round(c.averageScore * 10) / 10
+        };
+    });
+}
+
+// One piece of homework with every student's submission, score and late status
+async function getHomework(teacherId, homeworkId, now = new Date()) {
+    const homework = await Homework.findOne({ _id: homeworkId, teacherId });
+    if (!homework) throw new ApiError(404, 'homeworkId', 'Homework not found');
+    const submissions = await HomeworkSubmission.find({ homeworkId }).populate('studentId', 'fullname');
+    return {
+        ...formatHomework(homework),
+        questionIds: homework.questionIds,
+        submissions: submissions
+            .filter(s => s.studentId)
+            .map(s => ({ studentId: s.studentId._id, name: s.studentId.fullname, ...formatSubmission(s, now) }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+// A student's homework: still to do, past its due date, and handed in
+async function listStudentHomework(studentId, now = new Date()) {
+    const submissions = await HomeworkSubmission.find({ studentId }).sort({ dueAt: 1 }).populate('homeworkId');
+    const teachers = await usersModel.find({ _id: { $in: submissions.filter(s => s.homeworkId).map(s => s.homeworkId.teacherId) } }).select('fullname');
+    const teacherNames = new Map(teachers.map(t => [t._id.toString(), t.fullname]));
+
+    const items = submissions.filter(s => s.homeworkId).map(s => ({
+        ...formatHomework(s.homeworkId),
+        teacher: teacherNames.get(s.homeworkId.teacherId.toString()) || null,
+        submission: formatSubmission(s, now)
+    }));
+    return {
+        pending: items.filter(i => i.submission.status !== 'submitted' && !i.submission.overdue),
+        overdue: items.filter(i => i.submission.overdue),
+        submitted: items.filter(i => i.submission.status === 'submitted').reverse()
+    };
+}
+
+// Resume or start the quiz session for a student's homework. Late work is still accepted
+// (and marked late); handed-in work can't be done again, and an attempt that was given up
+// is picked up where it stopped rather than started over with the answers known.
+async function startHomework(studentId, homeworkId, now = new Date()) {
+    const submission = await HomeworkSubmission.findOne({ homeworkId, studentId });
+    if (!submission) throw new ApiError(404, 'homeworkId', 'Homework not found');
+    if (submission.status === 'submitted') throw new ApiError(409, 'homeworkId', 'You have already handed in this homework');
+    const homework = await Homework.findById(homeworkId);
+    if (!homework) throw new ApiError(404, 'homeworkId', 'Homework not found');
+
+    const topic = homeworkTopic(homework._id);
+    if (submission.sessionId) {
+        await QuizSession.updateOne(
+            { _id: submission.sessionId, status: 'abandoned' },
+            { $set: { status: 'active' }, $unset: { completedAt: 1 } }
+        ).catch(e => {
+            if (e.code !== 11000) throw e;  // Another attempt is already active
+        });
+    }
+    let session;
+    try {
+        session = await QuizSession.findOneAndUpdate(
+            { userId: studentId, topic, status: 'active' },
+            { $setOnInsert: { startedAt: now, mode: 'homework', homeworkId: homework._id, totalQuestions: homework.questionIds.length } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (e) {
+        // Two requests raced to create the session; the other one won
+        if (e.code !== 11000) throw e;
+        session = await QuizSession.findOne({ userId: studentId, topic, status: 'active' });
+    }
+
+    await HomeworkSubmission.updateOne(
+        { _id: submission._id, status: { $ne: 'submitted' } },
+        { $set: { status: 'started', sessionId: session._id, startedAt: submission.startedAt || now } }
+    );
+    return session;
+}
+
+// Hand in the homework of a finished homework session: its score, XP and whether it
+// was late. Each question is scored by its first answer in any attempt at the homework.
+// Resolves to the submission, or null if it had already been handed in.
+async function submitHomework(session, now = new Date()) {
+    const attempts = await QuizSession.find({ userId: session.userId, homeworkId: session.homeworkId }).sort({ startedAt: 1 });
+    const firstAnswers = new Map();
+    for (const attempt of attempts) {
+        for (const q of attempt.questions) {
+            if (q.answeredAt && !firstAnswers.has(q.questionId)) firstAnswers.set(q.questionId, !!q.isCorrect);
+        }
+    }
+    const correct = [...firstAnswers.values()].filter(Boolean).length;
+    const total = session.totalQuestions;
+    const submission = await HomeworkSubmission.findOneAndUpdate(
+        { homeworkId: session.homeworkId, studentId: session.userId, status: { $ne: 'submitted' } },
+        [{
+            $set: {
+                status: 'submitted',
+                sessionId: session._id,
+                submittedAt: now,
+                correct,
+                total,
+                score: total ? Math.round((correct / total) * 1000) / 10 : 0,
+                xp: session.xp,
+                late: { $gt: [now, '$dueAt'] }
+            }
+        }],
+        { new: true }
+    );
+    return submission ? formatSubmission(submission, now) : null;
+}
+
+module.exports = {
+    HOMEWORK_TOPIC_PREFIX,
+    homeworkTopic,
+    createHomework,
+    listHomeworkOf,
+    getHomework,
+    listStudentHomework,
+    startHomework,
+    submitHomework
+};
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const { usersModel, Progress, LeagueResult, LeagueWeek } = require('./db.js');
+const { DEFAULT_TIMEZONE, localDay, addDays, startOfDay } = require('./streak.js');
+
+// Weeks and months are shared by everyone, so they follow one calendar
+const LEADERBOARD_TIMEZONE = DEFAULT_TIMEZONE;
+const LEAGUE_TIERS = ['Bronze', 'Silver', 'Gold', 'Sapphire', 'Ruby', 'Emerald', 'Amethyst', 'Pearl', 'Obsidian', 'Diamond'];
+// Share of a league's active members promoted / demoted when the week closes
+const PROMOTE_SHARE = 0.2;
+const DEMOTE_SHARE = 0.2;
+const NEARBY = 2;  // Users shown above and below the caller
+
+// 'YYYY-MM-DD' of the Monday starting the week that contains `day`
+const weekStartDay = (day) => addDays(day, -((new Date(Date.parse(day)).getUTCDay() + 6) % 7));
+
+// Time range of the current week or month; the all-time board has no range
+const periodRange = (period, now = new Date()) => {
+    const today = localDay(now, LEADERBOARD_TIMEZONE);
+    if (period === 'week') {
+        const week = weekStartDay(today);
+        return { key: week, start: startOfDay(week, LEADERBOARD_TIMEZONE), end: startOfDay(addDays(week, 7), LEADERBOARD_TIMEZONE) };
+    }
+    if (period === 'month') {
+        const [year, month] = today.split('-').map(Number);
+        const first = today.slice(0, 8) + '01';
+        const next = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+        return { key: first, start: startOfDay(first, LEADERBOARD_TIMEZONE), end: startOfDay(next, LEADERBOARD_TIMEZONE) };
+    }
+    return { key: 'all', start: null, end: null };
+};
+
+// Aggregation ranking users by XP for a range, topic and user filters. The all-time board
+// without a topic reads users.totalXP; everything else sums Progress.xp by timestamp.
+const rankedPipeline = ({ start, end, topic, state, school, league }) => {
+    const userMatch = {};
+    if (state) userMatch.state = state;
+    if (school) userMatch.school12 = school;
+
+    let source;
+    let stages;
+    if (!start && !topic) {
+        source = usersModel;
+        stages = [
+            { $match: { ...userMatch, totalXP: { $gt: 0 } } },
+            { $project: { userId: '$_id', xp: '$totalXP', fullname: 1, avatarFrame: 1, league: 1 } }
+        ];
+    } else {
+        const progressMatch = { xp: { $gt: 0 } };
+        if (start) progressMatch.timestamp = { $gte: start, $lt: end };
+        if (topic) progressMatch.topic = topic;
+        source = Progress;
+        stages = [
+            { $match: progressMatch },
+            { $group: { _id: '$userId', xp: { $sum: '$xp' } } },
+            {
+                $lookup: {
+                    from: usersModel.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'user',
+                    pipeline: [{ $project: { fullname: 1, avatarFrame: 1, league: 1, state: 1, school12: 1 } }]
+                }
+            },
+            { $unwind: '$user' },
+            ...Object.keys(userMatch).length
+                ? [{ $match: Object.fromEntries(Object.entries(userMatch).map(([k, v]) => [`user.${k}`, v])) }]
+                : [],
+            {
+                $project: {
+                    userId: '$_id',
+                    xp: 1,
+                    fullname: '$user.fullname',
+                    avatarFrame: '$user.avatarFrame',
+                    league: { $ifNull: ['$user.league', 0] }
+                }
+            }
+        ];
+    }
+
+    if (league !== undefined) stages.push({ $match: { $expr: { $eq: [{ $ifNull: ['$league', 0] }, league] } } });
+    stages.push(
+        { $setWindowFields: { sortBy: { xp: -1 }, output: { rank: { $rank: {} } } } },
+        { $sort: { rank: 1, fullname: 1 } }
+    );
+    return { source, stages };
+};
+
+const formatEntry = (entry, userId) => ({
+    rank: entry.rank,
+    name: entry.fullname,
+    xp: entry.xp,
+    avatarFrame: entry.avatarFrame || '',
+    isMe: !!userId && entry.userId.toString() === userId.toString()
+});
+
+// Top of a ranking plus the caller's rank and the users around them
+async function rankWithCaller(filters, userId, limit) {
+    const { source, stages } = rankedPipeline(filters);
+    const me = userId ? new mongoose.Types.ObjectId(userId) : null;
+    const [result] = await source.aggregate([
+        ...stages,
+        {
+            $facet: {
+                top: [{ $limit: limit }],
+                me: me ? [{ $match: { userId: me } }] : [{ $limit: 0 }],
+                count: [{ $count: 'total' }]
+            }
+        }
+    ]);
+
+    const mine = result.me[0] || null;
+    let around = [];
+    if (mine) {
+        around = await source.aggregate([
+            ...stages,
+            { $match: { rank: { $gte: mine.rank - NEARBY, $lte: mine.rank + NEARBY } } },
+            { $limit: 2 * NEARBY + 1 + 10 }
+        ]);
+    }
+
+    return {
+        total: result.count[0] ? result.count[0].total : 0,
+        leaders: result.top.map(e => formatEntry(e, userId)),
+        me: mine ? formatEntry(mine, userId) : null,
+        around: around.map(e => formatEntry(e, userId))
+    };
+}
+
+// Leaderboard for 'week', 'month' or 'all', optionally by state, school and topic
+async function getLeaderboard(userId, { period = 'all', state, school, topic, limit = 10 } = {}, now = new Date()) {
+    await closeFinishedLeagueWeeks(now);
+    const range = periodRange(period, now);
+    const ranking = await rankWithCaller({ start: range.start, end: range.end, topic, state, school }, userId, limit);
+    return {
+        period,
+        filters: { state: state || null, school: school || null, topic: topic || null },
+        startsAt: range.start,
+        endsAt: range.end,
+        ...ranking
+    };
+}
+
+// Zone sizes for a league with `active` members
+const leagueZones = (tier, active) => {
+    const promote = tier < LEAGUE_TIERS.length - 1 ? Math.ceil(active * PROMOTE_SHARE) : 0;
+    const demote = tier > 0 ? Math.min(Math.floor(active * DEMOTE_SHARE), active - promote) : 0;
+    return { promote: active > 1 ? promote : 0, demote };
+};
+
+// The caller's league this week: standings, zones and last week's outcome
+async function getLeague(userId, now = new Date()) {
+    await closeFinishedLeagueWeeks(now);
+    const user = await usersModel.findById(userId).select('league');
+    const tier = user && user.league ? user.league : 0;
+    const range = periodRange('week', now);
+    const ranking = await rankWithCaller({ start: range.start, end: range.end, league: tier }, userId, 50);
+    const lastResult = await LeagueResult.findOne({ userId }).sort({ week: -1 });
+
+    return {
+        league: tier,
+        name: LEAGUE_TIERS[tier],
+        week: range.key,
+        endsAt: range.end,
+        zones: leagueZones(tier, ranking.total),
+        standings: ranking.leaders,
+        me: ranking.me,
+        around: ranking.around,
+        lastResult: lastResult ? {
+            week: lastResult.week,
+            league: LEAGUE_TIERS[lastResult.league],
+            rank: lastResult.rank,
+            xp: lastResult.xp,
+            outcome: lastResult.outcome
+        } : null
+    };
+}
+
+// Promote and demote every league for a finished week. Claiming the week in LeagueWeek
+// first makes sure this runs once even with several server instances.
+async function closeLeagueWeek(week) {
+    try {
+        await LeagueWeek.create({ week });
+    } catch (e) {
+        if (e.code === 11000) return false;
+        throw e;
+    }
+
+    const start = startOfDay(week, LEADERBOARD_TIMEZONE);
+    const end = startOfDay(addDays(week, 7), LEADERBOARD_TIMEZONE);
+    // Rank every league before moving anyone, so a promoted user isn't ranked twice
+    const results = [];
+    for (let tier = 0; tier < LEAGUE_TIERS.length; tier++) {
+        const { source, stages } = rankedPipeline({ start, end, league: tier });
+        const standings = await source.aggregate(stages);
+        if (!standings.length) continue;
+
+        const zones = leagueZones(tier, standings.length);
+        results.push(...standings.map((entry, index) => ({
+            userId: entry.userId,
+            week,
+            league: tier,
+            rank: entry.rank,
+            xp: entry.xp,
+            outcome: index < zones.promote ? 'promoted'
+                : index >= standings.length - zones.demote ? 'demoted'
+                    : 'stayed'
+        })));
+    }
+    if (!results.length) return true;
+
+    await LeagueResult.insertMany(results, { ordered: false }).catch(e => {
+        if (e.code !== 11000 && !(e.writeErrors || []).every(w => w.code === 11000)) throw e;
+    });
+    const moves = results.filter(r => r.outcome !== 'stayed');
+    if (moves.length) {
+        await usersModel.bulkWrite(moves.map(r => ({
+            updateOne: {
+                filter: { _id: r.userId },
+                update: { $set: { league: r.outcome === 'promoted' ? r.league + 1 : r.league - 1 } }
+            }
+        })));
+    }
+    return true;
+}
+
+// Close every finished week since the last closed one, oldest first. Called lazily when the
+// leagues or leaderboards are read, like the streak rollover, so it doesn't depend on a timer
+// (which doesn't run on Vercel). A fresh install starts from last week.
+async function closeFinishedLeagueWeeks(now = new Date()) {
+    const lastWeek = addDays(periodRange('week', now).key, -7);
+    if (await LeagueWeek.exists({ week: lastWeek })) return false;
+
+    const latest = await LeagueWeek.findOne().sort({ week: -1 });
+    let closed = false;
+    for (let week = latest ? addDays(latest.week, 7) : lastWeek; week <= lastWeek; week = addDays(week, 7)) {
+        closed = await closeLeagueWeek(week) || closed;
+    }
+    return closed;
+}
+
+module.exports = {
+    LEAGUE_TIERS,
+    periodRange,
+    getLeaderboard,
+    getLeague,
+    closeLeagueWeek,
+    closeFinishedLeagueWeeks
+};
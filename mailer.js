@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail goes through a transport: any object with `async send({ to, subject, text, html })`.
+// MAIL_TRANSPORT=smtp delivers through the server in SMTP_URL. Without an SMTP server,
+// MAIL_TRANSPORT=console logs messages and MAIL_TRANSPORT=file writes each one as JSON into
+// MAIL_DIR, where tests and developers can read them. Other providers are plugged in with
+// setTransport().
+
+const consoleTransport = {
+    async send(message) {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+};
+
+const fileTransport = (dir) => ({
+    async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+        await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+});
+
+const smtpTransport = (url) => {
+    const smtp = nodemailer.createTransport(url);
+    return {
+        async send(message) {
+            await smtp.sendMail(message);
+        }
+    };
+};
+
+// Console is only the default in development: it would put every verification and
+// password reset link in the server logs, so production has to pick a transport
+const transportFromEnv = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? '' : 'console');
+    if (name === 'smtp') {
+        if (!process.env.SMTP_URL) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL');
+        return smtpTransport(process.env.SMTP_URL);
+    }
+    if (name === 'file') {
+        return fileTransport(process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox'));
+    }
+    if (name === 'console') return consoleTransport;
+    throw new Error(name
+        ? `Unknown MAIL_TRANSPORT "${name}"; use smtp, file or console`
+        : 'Set MAIL_TRANSPORT (smtp with SMTP_URL) in production; without it no email is delivered');
+};
+
+let transport = transportFromEnv();
+
+const setTransport = (next) => {
+    transport = next;
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Univyze <no-reply@univyze.com>';
+// Base URL for links in emails
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+async function sendMail({ to, subject, text, html }) {
+    await transport.send({ from: MAIL_FROM, to, subject, text, html: html || text });
+}
+
+const verificationEmail = (user, token) => {
+    const link = `${APP_URL}/verify-email.html?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Verify your Univyze email',
+        text: `Hi ${user.fullname},\n\nConfirm this is your email address by opening:\n${link}\n\nThe link expires in 24 hours.`
+    };
+};
+
+const passwordResetEmail = (user, token) => {
+    const link = `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Reset your Univyze password',
+        text: `Hi ${user.fullname},\n\nSomeone asked to reset your password. If it was you, open:\n${link}\n\n` +
+            'The link works once and expires in 1 hour. If you didn\'t ask for this, you can ignore this email.'
+    };
+};
+
+const passwordChangedEmail = (user) => ({
+    to: user.email,
+    subject: 'Your Univyze password was changed',
+    text: `Hi ${user.fullname},\n\nYour password was just changed and your other devices were signed out.\n` +
+        'If this wasn\'t you, reset your password straight away.'
+});
+
+module.exports = {
+    consoleTransport,
+    fileTransport,
+    smtpTransport,
+    setTransport,
+    sendMail,
+    verificationEmail,
+    passwordResetEmail,
+    passwordChangedEmail
+};
@@ -0,0 +1,392 @@
+const { usersModel, Review, FreelancerProfile, Job, Proposal, Contract } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { formatReview } = require('./reviews.js');
+const { PLACEHOLDER_AVATAR, escapeRegex } = require('./util.js');
+
+// Freelance marketplace: anyone can keep a freelancer profile, post jobs, and send proposals
+// for other people's jobs. The client accepting a proposal turns it into a contract; once
+// it is completed they can review the freelancer (see createContractReview in reviews.js),
+// which feeds the rating on their freelancer profile (apart from any teaching rating).
+
+const CATEGORIES = {
+    'web-development': 'Web Development',
+    'graphic-design': 'Graphic Design',
+    'content-writing': 'Content Writing',
+    'digital-marketing': 'Digital Marketing',
+    'data-analysis': 'Data Analysis',
+    'mobile-app-development': 'Mobile App Development',
+    'video-editing': 'Video Editing',
+    'seo': 'SEO'
+};
+const CATEGORY_IDS = Object.keys(CATEGORIES);
+const PROFILE_REVIEWS = 10;
+const PERSON_FIELDS = 'fullname avatar verified';
+
+// Skills as written (trimmed, without repeats) and their search keys
+const normalizeSkills = (skills = []) => {
+    const unique = new Map();
+    for (const skill of skills) {
+        const name = skill.trim().replace(/\s+/g, ' ');
+        if (name && !unique.has(name.toLowerCase())) unique.set(name.toLowerCase(), name);
+    }
+    return { skills: [...unique.values()], skillKeys: [...unique.keys()] };
+};
+
+const formatCategory = (id) => ({ id, name: CATEGORIES[id] || id });
+
+const formatPerson = (user) => user && user._id ? {
+    id: user._id,
+    name: user.fullname,
+    avatar: user.avatar || PLACEHOLDER_AVATAR,
+    verified: !!user.verified
+} : null;
+
+const formatProfile = (profile, user) => ({
+    userId: profile.userId && profile.userId._id ? profile.userId._id : profile.userId,
+    name: user ? user.fullname : null,
+    avatar: user && user.avatar || PLACEHOLDER_AVATAR,
+    rating: profile.rating || 0,
+    ratingCount: profile.ratingCount || 0,
+    verified: !!(user && user.verified),
+    headline: profile.headline,
+    bio: profile.bio,
+    skills: profile.skills,
+    categories: profile.categories.map(formatCategory),
+    hourlyRate: profile.hourlyRate,
+    location: profile.location,
+    available: profile.available,
+    completedContracts: profile.completedContracts,
+    updatedAt: profile.updatedAt
+});
+
+const formatJob = (job) => ({
+    id: job._id,
+    client: formatPerson(job.clientId),
+    title: job.title,
+    description: job.description,
+    category: formatCategory(job.category),
+    skills: job.skills,
+    budget: job.budget,
+    deadline: job.deadline,
+    status: job.status,
+    proposalCount: job.proposalCount,
+    contractId: job.contractId,
+    createdAt: job.createdAt
+});
+
+const formatProposal = (proposal) => ({
+    id: proposal._id,
+    jobId: proposal.jobId && proposal.jobId._id ? proposal.jobId._id : proposal.jobId,
+    job: proposal.jobId && proposal.jobId.title ? { title: proposal.jobId.title, status: proposal.jobId.status } : undefined,
+    freelancer: formatPerson(proposal.freelancerId),
+    coverLetter: proposal.coverLetter,
+    amount: proposal.amount,
+    estimatedDays: proposal.estimatedDays,
+    status: proposal.status,
+    createdAt: proposal.createdAt,
+    respondedAt: proposal.respondedAt
+});
+
+const formatContract = (contract) => ({
+    id: contract._id,
+    jobId: contract.jobId && contract.jobId._id ? contract.jobId._id : contract.jobId,
+    job: contract.jobId && contract.jobId.title ? { title: contract.jobId.title } : undefined,
+    client: formatPerson(contract.clientId),
+    freelancer: formatPerson(contract.freelancerId),
+    amount: contract.amount,
+    deadline: contract.deadline,
+    status: contract.status,
+    startedAt: contract.startedAt,
+    endedAt: contract.endedAt
+});
+
+// Create or update the caller's freelancer profile
+async function saveFreelancerProfile(userId, { skills, ...fields }) {
+    const update = { ...fields };
+    if (skills) Object.assign(update, normalizeSkills(skills));
+    let profile;
+    try {
+        profile = await FreelancerProfile.findOneAndUpdate(
+            { userId },
+            { $set: update },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    } catch (e) {
+        // Two saves raced to create the profile; apply this one to the other's
+        if (e.code !== 11000) throw e;
+        profile = await FreelancerProfile.findOneAndUpdate({ userId }, { $set: update }, { new: true });
+    }
+    const user = await usersModel.findById(userId).select(PERSON_FIELDS);
+    return formatProfile(profile, user);
+}
+
+// A freelancer's profile with their latest contract reviews
+async function getFreelancer(userId) {
+    const [profile, user] = await Promise.all([
+        FreelancerProfile.findOne({ userId }),
+        usersModel.findOne({ _id: userId, disabled: { $ne: true } }).select(PERSON_FIELDS)
+    ]);
+    if (!profile || !user) throw new ApiError(404, 'userId', 'Freelancer not found');
+    const reviews = await Review.find({ teacherId: userId, contractId: { $ne: null } })
+        .sort({ createdAt: -1 })
+        .limit(PROFILE_REVIEWS)
+        .populate('studentId', 'fullname');
+    return { ...formatProfile(profile, user), reviews: reviews.map(formatReview) };
+}
+
+// Freelancers with a skill, in a category, matching some text (headline, skills, name) or
+// with a minimum rating, best rated first
+async function searchFreelancers({ skill, category, q, minRating, maxRate, available, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (skill) filter.skillKeys = skill.toLowerCase();
+    if (category) filter.categories = category;
+    if (maxRate !== undefined) filter.hourlyRate = { $lte: maxRate };
+    if (available !== undefined) filter.available = available;
+    if (minRating) filter.rating = { $gte: minRating };
+
+    const userFilter = { 'user.disabled': { $ne: true } };
+    if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        userFilter.$or = [{ headline: pattern }, { skills: pattern }, { 'user.fullname': pattern }];
+    }
+
+    const [result] = await FreelancerProfile.aggregate([
+        { $match: filter },
+        {
+            $lookup: {
+                from: usersModel.collection.name,
+                localField: 'userId',
+                foreignField: '_id',
+                as: 'user',
+                pipeline: [{ $project: { fullname: 1, avatar: 1, verified: 1, disabled: 1 } }]
+            }
+        },
+        { $unwind: '$user' },
+        { $match: userFilter },
+        { $sort: { rating: -1, completedContracts: -1, _id: 1 } },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                freelancers: [{ $skip: (page - 1) * limit }, { $limit: limit }]
+            }
+        }
+    ]);
+    return {
+        total: result.total[0] ? result.total[0].count : 0,
+        page,
+        freelancers: result.freelancers.map(f => formatProfile(f, f.user))
+    };
+}
+
+async function postJob(clientId, { skills = [], ...fields }) {
+    const job = await Job.create({ clientId, ...fields, ...normalizeSkills(skills) });
+    return formatJob(await job.populate('clientId', PERSON_FIELDS));
+}
+
+// Open jobs in a category, needing a skill, matching some text or within a budget, newest first
+async function searchJobs({ skill, category, q, minBudget, maxBudget, page = 1, limit = 20 } = {}) {
+    const filter = { status: 'open' };
+    if (skill) filter.skillKeys = skill.toLowerCase();
+    if (category) filter.category = category;
+    if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        filter.$or = [{ title: pattern }, { description: pattern }, { skills: pattern }];
+    }
+    if (minBudget !== undefined || maxBudget !== undefined) {
+        filter.budget = {};
+        if (minBudget !== undefined) filter.budget.$gte = minBudget;
+        if (maxBudget !== undefined) filter.budget.$lte = maxBudget;
+    }
+
+    const [total, jobs] = await Promise.all([
+        Job.countDocuments(filter),
+        Job.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('clientId', PERSON_FIELDS)
+    ]);
+    return { total, page, jobs: jobs.map(formatJob) };
+}
+
+async function getJob(jobId) {
+    const job = await Job.findById(jobId).populate('clientId', PERSON_FIELDS);
+    if (!job) throw new ApiError(404, 'jobId', 'Job not found');
+    return formatJob(job);
+}
+
+// The jobs the user posted, newest first
+async function listJobsOf(clientId) {
+    const jobs = await Job.find({ clientId }).sort({ createdAt: -1 }).populate('clientId', PERSON_FIELDS);
+    return jobs.map(formatJob);
+}
+
+// The client withdraws a job nobody has been hired for yet
+async function cancelJob(clientId, jobId) {
+    const job = await Job.findOneAndUpdate(
+        { _id: jobId, clientId, status: 'open' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+    );
+    if (!job) {
+        if (!await Job.exists({ _id: jobId, clientId })) throw new ApiError(404, 'jobId', 'Job not found');
+        throw new ApiError(409, 'jobId', 'Only open jobs can be cancelled');
+    }
+    await Proposal.updateMany({ jobId, status: 'pending' }, { $set: { status: 'rejected', respondedAt: new Date() } });
+    return formatJob(await job.populate('clientId', PERSON_FIELDS));
+}
+
+// A freelancer (someone with a profile) bids on another user's open job
+async function sendProposal(freelancerId, jobId, { coverLetter = '', amount, estimatedDays = null }) {
+    if (!await FreelancerProfile.exists({ userId: freelancerId })) {
+        throw new ApiError(409, 'profile', 'Set up your freelancer profile before sending proposals');
+    }
+    const job = await Job.findById(jobId);
+    if (!job) throw new ApiError(404, 'jobId', 'Job not found');
+    if (job.clientId.toString() === freelancerId.toString()) throw new ApiError(400, 'jobId', 'You cannot apply to your own job');
+    if (job.status !== 'open') throw new ApiError(409, 'jobId', 'This job is no longer open');
+
+    let proposal;
+    try {
+        proposal = await Proposal.create({ jobId, freelancerId, coverLetter, amount, estimatedDays });
+    } catch (e) {
+        if (e.code === 11000) throw new ApiError(409, 'jobId', 'You have already sent a proposal for this job');
+        throw e;
+    }
+    await Job.updateOne({ _id: jobId }, { $inc: { proposalCount: 1 } });
+    return formatProposal(await proposal.populate('freelancerId', PERSON_FIELDS));
+}
+
+// Proposals for one of the client's jobs, pending ones first, then cheapest
+async function listProposalsFor(clientId, jobId) {
+    if (!await Job.exists({ _id: jobId, clientId })) throw new ApiError(404, 'jobId', 'Job not found');
+    const proposals = await Proposal.find({ jobId }).populate('freelancerId', PERSON_FIELDS);
+    const order = { pending: 0, accepted: 1, rejected: 2, withdrawn: 3 };
+    return proposals
+        .sort((a, b) => order[a.status] - order[b.status] || a.amount - b.amount)
+        .map(formatProposal);
+}
+
+// The proposals the freelancer sent, newest first
+async function listProposalsBy(freelancerId) {
+    const proposals = await Proposal.find({ freelancerId })
+        .sort({ createdAt: -1 })
+        .populate('jobId', 'title status')
+        .populate('freelancerId', PERSON_FIELDS);
+    return proposals.map(formatProposal);
+}
+
+async function withdrawProposal(freelancerId, proposalId) {
+    const proposal = await Proposal.findOneAndUpdate(
+        { _id: proposalId, freelancerId, status: 'pending' },
+        { $set: { status: 'withdrawn', respondedAt: new Date() } },
+        { new: true }
+    );
+    if (!proposal) {
+        const existing = await Proposal.findOne({ _id: proposalId, freelancerId });
+        if (!existing) throw new ApiError(404, 'proposalId', 'Proposal not found');
+        throw new ApiError(409, 'proposalId', `This proposal was already ${existing.status}`);
+    }
+    return formatProposal(await proposal.populate('freelancerId', PERSON_FIELDS));
+}
+
+// The client hires the freelancer of a pending proposal: the job closes to new proposals,
+// the other proposals are declined and a contract is made for the proposed amount
+async function acceptProposal(clientId, proposalId, now = new Date()) {
+    const proposal = await Proposal.findById(proposalId);
+    const job = proposal && await Job.findOne({ _id: proposal.jobId, clientId });
+    if (!job) throw new ApiError(404, 'proposalId', 'Proposal not found');
+    if (proposal.status !== 'pending') throw new ApiError(409, 'proposalId', `This proposal was already ${proposal.status}`);
+
+    // Claim the job first, so two proposals can't both be accepted
+    const claimed = await Job.findOneAndUpdate({ _id: job._id, status: 'open' }, { $set: { status: 'in-progress' } });
+    if (!claimed) throw new ApiError(409, 'jobId', 'This job is no longer open');
+    const accepted = await Proposal.findOneAndUpdate(
+        { _id: proposalId, status: 'pending' },
+        { $set: { status: 'accepted', respondedAt: now } },
+        { new: true }
+    );
+    if (!accepted) {
+        // Withdrawn in the meantime
+        await Job.updateOne({ _id: job._id, status: 'in-progress', contractId: null }, { $set: { status: 'open' } });
+        throw new ApiError(409, 'proposalId', 'This proposal is no longer pending');
+    }
+
+    const contract = await Contract.create({
+        jobId: job._id,
+        proposalId: accepted._id,
+        clientId,
+        freelancerId: accepted.freelancerId,
+        amount: accepted.amount,
+        deadline: job.deadline,
+        startedAt: now
+    });
+    await Job.updateOne({ _id: job._id }, { $set: { contractId: contract._id } });
+    await Proposal.updateMany(
+        { jobId: job._id, _id: { $ne: accepted._id }, status: 'pending' },
+        { $set: { status: 'rejected', respondedAt: now } }
+    );
+    return formatContract(await contract.populate([
+        { path: 'jobId', select: 'title' },
+        { path: 'clientId freelancerId', select: PERSON_FIELDS }
+    ]));
+}
+
+// The user's contracts, as client or freelancer, newest first
+async function listContractsOf(userId, { role, status } = {}) {
+    const filter = role === 'client' ? { clientId: userId }
+        : role === 'freelancer' ? { freelancerId: userId }
+            : { $or: [{ clientId: userId }, { freelancerId: userId }] };
+    if (status) filter.status = status;
+    const contracts = await Contract.find(filter)
+        .sort({ createdAt: -1 })
+        .populate('jobId', 'title')
+        .populate('clientId freelancerId', PERSON_FIELDS);
+    return contracts.map(formatContract);
+}
+
+// The client marks the work done, or either side calls it off. Only active contracts end,
+// and only once.
+async function endContract(userId, contractId, outcome, now = new Date()) {
+    const party = outcome === 'completed' ? { clientId: userId } : { $or: [{ clientId: userId }, { freelancerId: userId }] };
+    const contract = await Contract.findOneAndUpdate(
+        { _id: contractId, status: 'active', ...party },
+        { $set: { status: outcome, endedAt: now, cancelledBy: outcome === 'cancelled' ? userId : null } },
+        { new: true }
+    );
+    if (!contract) {
+        const existing = await Contract.findOne({ _id: contractId, $or: [{ clientId: userId }, { freelancerId: userId }] });
+        if (!existing) throw new ApiError(404, 'contractId', 'Contract not found');
+        if (existing.status !== 'active') throw new ApiError(409, 'contractId', `This contract was already ${existing.status}`);
+        throw new ApiError(403, 'contractId', 'Only the client can mark a contract completed');
+    }
+
+    await Job.updateOne({ _id: contract.jobId }, { $set: { status: outcome } });
+    if (outcome === 'completed') {
+        await FreelancerProfile.updateOne({ userId: contract.freelancerId }, { $inc: { completedContracts: 1 } });
+    }
+    return formatContract(await contract.populate([
+        { path: 'jobId', select: 'title' },
+        { path: 'clientId freelancerId', select: PERSON_FIELDS }
+    ]));
+}
+
+module.exports = {
+    CATEGORIES,
+    CATEGORY_IDS,
+    saveFreelancerProfile,
+    getFreelancer,
+    searchFreelancers,
+    postJob,
+    searchJobs,
+    getJob,
+    listJobsOf,
+    cancelJob,
+    sendProposal,
+    listProposalsFor,
+    listProposalsBy,
+    withdrawProposal,
+    acceptProposal,
+    listContractsOf,
+    endContract
+};
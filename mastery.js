@@ -0,0 +1,105 @@
+const { Question, TopicMastery, Courses } = require('./db.js');
+
+// Elo-style mastery. Learners and questions share one rating scale: a learner rated the
+// same as a question is expected to answer it correctly half of the time.
+const BASE_RATING = 1000;
+const RATING_PER_LEVEL = 150;
+const LEARNER_K_NEW = 40;  // Move quickly while we know little about the learner
+const LEARNER_K = 24;
+const QUESTION_K = 8;
+const NEW_LEARNER_ANSWERS = 20;
+// Serve questions the learner should get right about 70% of the time
+const TARGET_OFFSET = -150;
+// Mastery is the chance of answering a hardest-level question correctly
+const MASTERY_REFERENCE = BASE_RATING + 2 * RATING_PER_LEVEL;
+
+// Starting rating for an authored difficulty level (1-5, 3 is average)
+const ratingForDifficulty = (difficulty = 3) => BASE_RATING + (difficulty - 3) * RATING_PER_LEVEL;
+
+const expectedScore = (learnerRating, questionRating) => 1 / (1 + Math.pow(10, (questionRating - learnerRating) / 400));
+
+const masteryPercent = (mastery) => {
+    if (!mastery || !mastery.answered) return 0;
+    return Math.round(100 * expectedScore(mastery.rating, MASTERY_REFERENCE));
+};
+
+const formatTopicName = (topic) => topic.replace(/\b\w/g, ch => ch.toUpperCase());
+
+async function getMastery(userId, topic) {
+    return TopicMastery.findOne({ userId, topic });
+}
+
+// Rating the topic picker should aim for, slightly below the learner's own
+async function targetRating(userId, topic) {
+    const mastery = await getMastery(userId, topic);
+    return (mastery ? mastery.rating : BASE_RATING) + TARGET_OFFSET;
+}
+
+// Among the candidates, pick randomly from the few closest to the target rating
+const pickNearRating = (questions, target, spread = 3) => {
+    const ranked = [...questions].sort((a, b) =>
+        Math.abs((a.rating ?? ratingForDifficulty(a.difficulty)) - target) -
+        Math.abs((b.rating ?? ratingForDifficulty(b.difficulty)) - target));
+    const closest = ranked.slice(0, spread);
+    return closest[Math.floor(Math.random() * closest.length)];
+};
+
+// Update the learner's topic mastery and the question's rating after a graded answer,
+// then refresh the matching Courses entry
+async function recordMasteryAnswer(userId, question, isCorrect) {
+    const topic = question.topic;
+    const mastery = await getMastery(userId, topic) || { rating: BASE_RATING, answered: 0 };
+    const questionRating = question.rating ?? ratingForDifficulty(question.difficulty);
+
+    const expected = expectedScore(mastery.rating, questionRating);
+    const score = isCorrect ? 1 : 0;
+    const k = mastery.answered < NEW_LEARNER_ANSWERS ? LEARNER_K_NEW : LEARNER_K;
+
+    // An upsert with $inc would start the rating from 0 (defaults skip paths in the update),
+    // so the first answer creates the document at the base rating before it is moved
+    try {
+        await TopicMastery.updateOne({ userId, topic }, { $setOnInsert: { rating: BASE_RATING } }, { upsert: true, setDefaultsOnInsert: true });
+    } catch (e) {
+        if (e.code !== 11000) throw e;  // Created concurrently
+    }
+    const updated = await TopicMastery.findOneAndUpdate(
+        { userId, topic },
+        {
+            $inc: { rating: k * (score - expected), answered: 1, correct: score },
+            $set: { updatedAt: new Date() }
+        },
+        { new: true }
+    );
+    await Question.updateOne({ id: question.id }, { $set: { rating: questionRating - QUESTION_K * (score - expected) } });
+
+    await Courses.findOneAndUpdate(
+        { userId, topic },
+        { $set: { title: formatTopicName(topic), progress: masteryPercent(updated) } },
+        { upsert: true }
+    );
+    return updated;
+}
+
+// Per-topic mastery for a user, strongest first
+async function listMastery(userId) {
+    const all = await TopicMastery.find({ userId }).sort({ rating: -1 });
+    return all.map(m => ({
+        topic: m.topic,
+        rating: Math.round(m.rating),
+        mastery: masteryPercent(m),
+        answered: m.answered,
+        correct: m.correct,
+        updatedAt: m.updatedAt
+    }));
+}
+
+module.exports = {
+    BASE_RATING,
+    ratingForDifficulty,
+    expectedScore,
+    masteryPercent,
+    targetRating,
+    pickNearRating,
+    recordMasteryAnswer,
+    listMastery
+};
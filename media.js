@@ -0,0 +1,154 @@
+const sharp = require('sharp');
+const { usersModel, Media } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { getStorage } = require('./storage.js');
+const { detectFileType } = require('./fileTypes.js');
+
+// Uploaded images: checked by their content, resized into square WebP variants and kept in
+// the storage backend. They're served from /media/:mediaId/:variant; a new upload gets a new
+// id, so a URL's content never changes and it can be cached for good.
+
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_INPUT_PIXELS = 25 * 1000 * 1000;  // Small files can still decode to huge images
+const AVATAR_VARIANTS = { small: 64, medium: 256, large: 512 };
+const PROFILE_VARIANT = 'medium';  // The one user.avatar points at
+
+const mediaUrl = (mediaId, variant) => `/media/${mediaId}/${variant}`;
+
+const formatAvatar = (media) => ({
+    avatarUrl: mediaUrl(media._id, PROFILE_VARIANT),
+    sizes: Object.fromEntries(media.variants.map(v => [v.name, mediaUrl(media._id, v.name)]))
+});
+
+// Every variant of an image, or a 400 when it doesn't decode
+async function renderVariants(buffer) {
+    try {
+        // rotate() applies the EXIF orientation; metadata isn't copied to the output
+        const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+        const variants = [];
+        for (const [name, size] of Object.entries(AVATAR_VARIANTS)) {
+            const { data, info } = await image.clone()
+                .resize(size, size, { fit: 'cover' })
+                .webp({ quality: 82 })
+                .toBuffer({ resolveWithObject: true });
+            variants.push({ name, data, width: info.width, height: info.height });
+        }
+        return variants;
+    } catch (e) {
+        throw new ApiError(400, 'avatar', 'This image could not be read');
+    }
+}
+
+// Check, resize and store an avatar image for a user; the Media record isn't linked to them yet
+async function storeAvatarImage(ownerId, buffer) {
+    const type = detectFileType(buffer, AVATAR_TYPES);
+    if (!type) throw new ApiError(400, 'avatar', 'Avatars must be PNG, JPEG, GIF or WebP images');
+    const variants = await renderVariants(buffer);
+
+    const mediaId = new Media()._id;
+    const storage = getStorage();
+    const saved = [];
+    try {
+        for (const variant of variants) {
+            const storageKey = `media/${ownerId}/${mediaId}-${variant.name}.webp`;
+            await storage.save(storageKey, variant.data, { contentType: 'image/webp' });
+            saved.push({
+                name: variant.name,
+                storageKey,
+                contentType: 'image/webp',
+                width: variant.width,
+                height: variant.height,
+                size: variant.data.length
+            });
+        }
+        return await Media.create({
+            _id: mediaId,
+            ownerId,
+            purpose: 'avatar',
+            variants: saved,
+            source: { contentType: type.contentType, size: buffer.length }
+        });
+    } catch (e) {
+        await Promise.all(saved.map(v => storage.remove(v.storageKey).catch(() => {})));
+        throw e;
+    }
+}
+
+async function removeMedia(mediaId) {
+    const media = await Media.findByIdAndDelete(mediaId);
+    if (!media) return;
+    const storage = getStorage();
+    await Promise.all(media.variants.map(v => storage.remove(v.storageKey)));
+}
+
+// Replace the user's avatar with an uploaded image; the old one's files are removed
+async function setAvatar(userId, buffer) {
+    if (buffer.length > MAX_AVATAR_BYTES) throw new ApiError(400, 'avatar', 'Avatars must be 2 MB or smaller');
+    if (!await usersModel.exists({ _id: userId })) throw new ApiError(404, 'user', 'User not found');
+
+    const media = await storeAvatarImage(userId, buffer);
+    const previous = await usersModel.findOneAndUpdate(
+        { _id: userId },
+        { $set: { avatar: mediaUrl(media._id, PROFILE_VARIANT), avatarMediaId: media._id } }
+    ).select('avatarMediaId');
+    if (!previous) {
+        await removeMedia(media._id);
+        throw new ApiError(404, 'user', 'User not found');
+    }
+    if (previous.avatarMediaId) {
+        await removeMedia(previous.avatarMediaId).catch(e => console.error('Failed to remove old avatar:', e));
+    }
+    return formatAvatar(media);
+}
+
+// One variant of an image, for serving
+async function readMedia(mediaId, variantName) {
+    const media = await Media.findById(mediaId);
+    const variant = media && media.variants.find(v => v.name === variantName);
+    if (!variant) throw new ApiError(404, 'mediaId', 'Image not found');
+    return {
+        body: await getStorage().read(variant.storageKey),
+        contentType: variant.contentType,
+        etag: `"${media._id}-${variant.name}"`
+    };
+}
+
+// Avatars used to be saved as base64 data URLs in the user document. Move them into media
+// storage; ones that aren't readable images are cleared. Safe to run more than once.
+async function migrateBase64Avatars() {
+    let migrated = 0;
+    let cleared = 0;
+    for await (const user of usersModel.find({ avatar: /^data:/ }).select('avatar').cursor()) {
+        // Some were saved with a broken type (data:image/image/png), so only the payload is used
+        const match = /^data:[^,]*;base64,(.*)$/s.exec(user.avatar);
+        let media = null;
+        try {
+            media = await storeAvatarImage(user._id, Buffer.from(match ? match[1] : '', 'base64'));
+        } catch (e) {
+            if (!(e instanceof ApiError)) throw e;
+        }
+
+        const update = media
+            ? { avatar: mediaUrl(media._id, PROFILE_VARIANT), avatarMediaId: media._id }
+            : { avatar: '', avatarMediaId: null };
+        // Unless the user uploaded a new avatar in the meantime
+        const result = await usersModel.updateOne({ _id: user._id, avatar: user.avatar }, { $set: update });
+        if (!result.modifiedCount) {
+            if (media) await removeMedia(media._id);
+        } else if (media) {
+            migrated += 1;
+        } else {
+            cleared += 1;
+        }
+    }
+    return { migrated, cleared };
+}
+
+module.exports = {
+    MAX_AVATAR_BYTES,
+    AVATAR_VARIANTS,
+    setAvatar,
+    readMedia,
+    migrateBase64Avatars
+};
@@ -0,0 +1,64 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Question, Review, TopicMastery } = require('./db.js');
+const { BASE_RATING } = require('./mastery.js');
+const { rebuildTeacherRating, rebuildFreelancerRating } = require('./reviews.js');
+const { migrateBase64Avatars } = require('./media.js');
+
+// One-off data and index migrations, run by hand after deploying the change that needs them:
+//   npm run migrate -- <name>
+// They are safe to run more than once.
+const MIGRATIONS = {
+    // Questions created before draft/published existed were all live
+    'question-status': async () => {
+        const { modifiedCount } = await Question.updateMany({ status: { $exists: false } }, { $set: { status: 'published' } });
+        return `Published ${modifiedCount} questions that had no status`;
+    },
+    // Topic mastery used to be created with its rating starting from 0 instead of the base
+    // rating. Real ratings don't get anywhere near 0, so only those records are moved up.
+    'mastery-ratings': async () => {
+        const { modifiedCount } = await TopicMastery.updateMany({ rating: { $lt: BASE_RATING / 2 } }, { $inc: { rating: BASE_RATING } });
+        return `Moved ${modifiedCount} topic mastery ratings up to the base rating`;
+    },
+    // Reviews became unique per contract as well: swap the old one-per-teacher-and-student
+    // index for the one in the schema
+    'review-indexes': async () => {
+        const dropped = await Review.syncIndexes();
+        return dropped.length ? `Dropped review indexes: ${dropped.join(', ')}` : 'Review indexes already up to date';
+    },
+    // Contract reviews used to count towards the user's teaching rating; recount both ratings
+    // of everyone who has one
+    'freelancer-ratings': async () => {
+        const userIds = await Review.distinct('teacherId', { contractId: { $ne: null } });
+        for (const userId of userIds) {
+            await rebuildTeacherRating(userId);
+            await rebuildFreelancerRating(userId);
+        }
+        return `Recounted the ratings of ${userIds.length} freelancers`;
+    },
+    // Avatars used to be base64 data URLs in the user document; move them to media storage
+    avatars: async () => {
+        const { migrated, cleared } = await migrateBase64Avatars();
+        return `Moved ${migrated} base64 avatars to media storage, cleared ${cleared} unreadable ones`;
+    }
+};
+
+async function main(name) {
+    const migration = MIGRATIONS[name];
+    if (!migration) {
+        console.error(`Usage: npm run migrate -- <${Object.keys(MIGRATIONS).join('|')}>`);
+        process.exitCode = 1;
+        return;
+    }
+    await mongoose.connect(process.env.mongooseClusterString);
+    try {
+        console.log(await migration());
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main(process.argv[2]).catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,145 @@
+const { usersModel, Question, TopicPack, PackDownload, Progress, OfflineAnswer } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { gradeAnswer } = require('./grading.js');
+const { recordReview } = require('./spacedRepetition.js');
+const { recordMasteryAnswer } = require('./mastery.js');
+const { DEFAULT_TIMEZONE, localDay, addDays, startOfDay, recordActivityAt, rolloverUser, streakStatus } = require('./streak.js');
+const { rewardActivity } = require('./economy.js');
+const { evaluateAchievements } = require('./achievements.js');
+const { XP_PER_CORRECT } = require('./quiz.js');
+
+// Answers recorded offline from a topic pack (see topicPacks.js), synced when the app is
+// back online. Each answer carries a key the client made up for it, so resending a batch
+// after a dropped connection doesn't credit anything twice.
+
+const MAX_SYNC_ANSWERS = 200;
+const MAX_ANSWER_AGE_DAYS = 30;  // OfflineAnswer keys are kept longer than this
+const CLOCK_SKEW_MS = 5 * 60 * 1000;  // Device clocks running a little fast are let through
+
+const rejected = (path, message) => ({ status: 'rejected', errors: [{ path, message }] });
+
+// Whether the user already earned XP for the question on the day of `at`, online or offline
+const earnedToday = (userId, questionId, at, timezone) => {
+    const day = localDay(at, timezone);
+    return Progress.exists({
+        userId,
+        questionId,
+        xp: { $gt: 0 },
+        timestamp: { $gte: startOfDay(day, timezone), $lt: startOfDay(addDays(day, 1), timezone) }
+    });
+};
+
+// Grade one answer and credit it as if it had been given online at `answeredAt`. A question
+// only earns XP (and counts for reviews and mastery) once a day, so re-answering it offline
+// over and over earns nothing more.
+async function creditAnswer(userId, timezone, { questionId, packVersion, userAnswer, answeredAt }, now) {
+    if (answeredAt < new Date(now.getTime() - MAX_ANSWER_AGE_DAYS * 24 * 60 * 60 * 1000)) {
+        return rejected('answeredAt', `Answers older than ${MAX_ANSWER_AGE_DAYS} days can't be synced`);
+    }
+    if (answeredAt > new Date(now.getTime() + CLOCK_SKEW_MS)) {
+        return rejected('answeredAt', 'This answer is dated in the future');
+    }
+    const at = answeredAt > now ? now : answeredAt;
+
+    // Only published questions from a pack version this user downloaded
+    const question = await Question.findOne({ id: questionId, status: 'published' });
+    if (!question) return rejected('questionId', 'Question not found');
+    const [inPack, downloaded] = await Promise.all([
+        TopicPack.exists({ topic: question.topic, version: packVersion, questionIds: questionId }),
+        PackDownload.exists({ userId, topic: question.topic, version: packVersion })
+    ]);
+    if (!inPack || !downloaded) return rejected('packVersion', "This question isn't in a pack you downloaded");
+
+    const grade = gradeAnswer(question, userAnswer);
+    const repeat = !!await earnedToday(userId, questionId, at, timezone);
+    const xp = grade.isCorrect && !repeat ? XP_PER_CORRECT : 0;
+    await Progress.create({
+        userId,
+        questionId,
+        xp,
+        isCorrect: grade.isCorrect,
+        userAnswer,
+        topic: question.topic,
+        offline: true,
+        timestamp: at
+    });
+    if (!repeat) {
+        await recordReview(userId, questionId, question.topic, grade.isCorrect, at);
+        await recordMasteryAnswer(userId, question, grade.isCorrect);
+    }
+    const rewards = xp ? await rewardActivity(userId, await recordActivityAt(userId, xp, at, now)) : [];
+
+    return {
+        status: 'credited',
+        isCorrect: grade.isCorrect,
+        xp,
+        repeat,
+        correctAnswer: grade.correctAnswer,
+        feedback: grade.feedback,
+        rewards
+    };
+}
+
+// Sync a batch of offline answers, oldest first. Every answer gets a result under its key:
+// 'credited', 'duplicate' (synced before; the first result is sent again), 'pending'
+// (another sync is still crediting it, try again later) or 'rejected'.
+async function syncOfflineAnswers(userId, answers, now = new Date()) {
+    const user = await usersModel.findById(userId);
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+
+    const ordered = [...answers].sort((a, b) => a.answeredAt - b.answeredAt);
+    const results = [];
+    let xp = 0;
+    let credited = 0;
+    let correct = 0;
+
+    for (const answer of ordered) {
+        let claim;
+        try {
+            claim = await OfflineAnswer.create({ userId, key: answer.key, questionId: answer.questionId, answeredAt: answer.answeredAt });
+        } catch (e) {
+            if (e.code !== 11000) throw e;
+            const existing = await OfflineAnswer.findOne({ userId, key: answer.key });
+            results.push(existing && existing.status === 'done'
+                ? { key: answer.key, questionId: existing.questionId, ...existing.result, status: 'duplicate' }
+                : { key: answer.key, questionId: answer.questionId, status: 'pending' });
+            continue;
+        }
+
+        let result;
+        try {
+            result = await creditAnswer(userId, user.timezone || DEFAULT_TIMEZONE, answer, now);
+        } catch (e) {
+            // Let the key be synced again
+            await OfflineAnswer.deleteOne({ _id: claim._id });
+            throw e;
+        }
+        await OfflineAnswer.updateOne({ _id: claim._id }, { $set: { status: 'done', result } });
+        results.push({ key: answer.key, questionId: answer.questionId, ...result });
+
+        if (result.status === 'credited') {
+            credited += 1;
+            xp += result.xp;
+            if (result.isCorrect) correct += 1;
+        }
+    }
+
+    // Days after the synced answers are checked as usual: missed ones use freezes or end the streak
+    const updated = await usersModel.findById(userId);
+    await rolloverUser(updated, now);
+    const achievements = credited ? await evaluateAchievements(userId, correct ? ['progress', 'streak'] : ['progress']) : [];
+
+    return {
+        results,
+        credited,
+        xp,
+        achievements,
+        totalXP: updated.totalXP,
+        streak: streakStatus(updated, now)
+    };
+}
+
+module.exports = {
+    MAX_SYNC_ANSWERS,
+    syncOfflineAnswers
+};
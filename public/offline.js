@@ -0,0 +1,122 @@
+// Offline study: topic packs kept in localStorage, answers graded against the pack's
+// hashed answers and queued until they can be synced to POST /api/sync/answers.
+(function () {
+    const PACK_PREFIX = 'pack:';
+    const QUEUE_KEY = 'offlineAnswers';
+
+    const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+    async function sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Same as normalizeAnswer in grading.js, so hashes match the server's
+    const normalizeAnswer = (value) => String(value ?? '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[.!?;,]+$/, '')
+        .trim();
+
+    // The checksum is the SHA-256 of the pack's JSON without the checksum itself
+    async function verifyPack(pack) {
+        const { checksum, ...body } = pack;
+        return checksum === await sha256(JSON.stringify(body));
+    }
+
+    const getPack = (topic) => JSON.parse(localStorage.getItem(PACK_PREFIX + topic) || 'null');
+
+    const listPacks = () => Object.keys(localStorage)
+        .filter(key => key.startsWith(PACK_PREFIX))
+        .map(key => JSON.parse(localStorage.getItem(key)));
+
+    // Fetch the topic's current pack, unless the stored one is still current
+    async function downloadPack(topic) {
+        const stored = getPack(topic);
+        const headers = authHeaders();
+        if (stored) headers['If-None-Match'] = `"${stored.checksum}"`;
+        const response = await axios.get(`/api/packs/${encodeURIComponent(topic)}`, {
+            headers,
+            validateStatus: status => status === 200 || status === 304
+        });
+        if (response.status === 304) return stored;
+        if (!await verifyPack(response.data)) throw new Error(`The ${topic} pack is corrupted, download it again`);
+        localStorage.setItem(PACK_PREFIX + topic, JSON.stringify(response.data));
+        return response.data;
+    }
+
+    const removePack = (topic) => localStorage.removeItem(PACK_PREFIX + topic);
+
+    async function gradeOffline(pack, questionId, answer) {
+        const question = pack.questions.find(q => q.id === questionId);
+        if (!question || !normalizeAnswer(answer)) return false;
+        const hash = await sha256(`${pack.hash.salt}:${questionId}:${normalizeAnswer(answer)}`);
+        return question.answerHashes.includes(hash);
+    }
+
+    const queuedAnswers = () => JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+
+    // Grade an answer from a stored pack and queue it for syncing. For choice questions the
+    // correct option is found by hashing each one.
+    async function answerOffline(topic, questionId, userAnswer) {
+        const pack = getPack(topic);
+        if (!pack) throw new Error(`The ${topic} pack isn't downloaded`);
+        const question = pack.questions.find(q => q.id === questionId);
+        const isCorrect = await gradeOffline(pack, questionId, userAnswer);
+        const queue = queuedAnswers();
+        queue.push({ key: crypto.randomUUID(), questionId, packVersion: pack.version, userAnswer: String(userAnswer ?? ''), answeredAt: new Date().toISOString() });
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+
+        let correctAnswer = null;
+        for (const option of question?.options || []) {
+            const value = typeof option === 'object' && option !== null ? option.value : option;
+            if (await gradeOffline(pack, questionId, value)) {
+                correctAnswer = value;
+                break;
+            }
+        }
+        return { isCorrect, correctAnswer, feedback: question?.feedback || '' };
+    }
+
+    // Send queued answers in batches. Answers the server has a result for leave the queue;
+    // ones still pending there stay for next time.
+    let syncing = null;
+    function syncAnswers() {
+        if (!syncing) {
+            syncing = (async () => {
+                const summary = { credited: 0, xp: 0 };
+                let queue = queuedAnswers();
+                while (queue.length && navigator.onLine) {
+                    const batch = queue.slice(0, 200);
+                    const { data } = await axios.post('/api/sync/answers', { answers: batch }, { headers: authHeaders() });
+                    const settled = new Set(data.results.filter(r => r.status !== 'pending').map(r => r.key));
+                    summary.credited += data.credited;
+                    summary.xp += data.xp;
+                    queue = queuedAnswers().filter(a => !settled.has(a.key));
+                    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+                    if (settled.size < batch.length) break;
+                }
+                return summary;
+            })().finally(() => { syncing = null; });
+        }
+        return syncing;
+    }
+
+    window.addEventListener('online', () => {
+        if (queuedAnswers().length) syncAnswers().catch(e => console.error('Answer sync failed:', e));
+    });
+
+    window.OfflinePacks = {
+        getPack,
+        listPacks,
+        downloadPack,
+        removePack,
+        verifyPack,
+        gradeOffline,
+        answerOffline,
+        queuedAnswers,
+        syncAnswers
+    };
+})();
@@ -0,0 +1,70 @@
+// Keeps the short-lived access token fresh. Every request carries the latest token from
+// localStorage, and when the server reports it expired the refresh token is swapped
+// once (shared by requests failing together) and the request retried.
+(function () {
+    let refreshing = null;
+
+    function refreshTokens() {
+        if (!refreshing) {
+            const refreshToken = localStorage.getItem('refreshToken');
+            refreshing = (refreshToken
+                ? axios.post('/api/auth/refresh', { refreshToken })
+                : Promise.reject(new Error('No refresh token')))
+                .then(({ data }) => {
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                    return data.token;
+                })
+                .finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    function clearTokens() {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+    }
+
+    window.installAuthRefresh = function (instance) {
+        instance.interceptors.request.use(config => {
+            const token = localStorage.getItem('token');
+            const auth = config.headers && config.headers.Authorization;
+            if (token && typeof auth === 'string' && auth.startsWith('Bearer ')) {
+                config.headers.Authorization = `Bearer ${token}`;
+            }
+            return config;
+        });
+
+        instance.interceptors.response.use(null, async error => {
+            const config = error.config;
+            const code = error.response?.data?.errors?.[0]?.code;
+            if (error.response?.status !== 401 || !code) return Promise.reject(error);
+
+            if (code === 'token_expired' && config && !config._retried) {
+                config._retried = true;
+                try {
+                    config.headers.Authorization = `Bearer ${await refreshTokens()}`;
+                    return instance(config);
+                } catch (e) {
+                    console.error('Session refresh failed:', e);
+                }
+            }
+            // Signed out, revoked or no longer refreshable: the user has to sign in again
+            clearTokens();
+            return Promise.reject(error);
+        });
+    };
+
+    // Log out this device on the server as well as locally
+    window.logout = async function () {
+        const token = localStorage.getItem('token');
+        try {
+            if (token) await axios.post('/api/auth/logout', {}, { headers: { Authorization: `Bearer ${token}` } });
+        } catch (e) {
+            console.error('Logout failed:', e);
+        }
+        clearTokens();
+    };
+
+    window.installAuthRefresh(axios);
+})();
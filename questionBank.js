@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const { Question, QuestionAudit } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { parseCsv, toCsv } = require('./csv.js');
+const { ratingForDifficulty } = require('./mastery.js');
+
+// Fields a teacher can author; diffed for the audit trail
+const AUTHORED_FIELDS = ['topic', 'type', 'difficulty', 'prompt', 'options', 'correctAnswer', 'acceptedAnswers', 'feedback', 'status'];
+
+// CSV layout for import/export. List cells (options, optionImages, acceptedAnswers) are `|` separated,
+// and optionImages lines up with options by position.
+const CSV_COLUMNS = ['id', 'topic', 'type', 'difficulty', 'status', 'prompt', 'options', 'optionImages', 'correctAnswer', 'acceptedAnswers', 'feedback'];
+
+const optionSchema = z.object({
+    value: z.string().trim().min(1, "Option value is required"),
+    description: z.string().trim().optional().default(''),
+    imageUrl: z.string().trim().url("Option image must be a URL").optional().or(z.literal('')).default('')
+});
+
+const baseFields = {
+    id: z.string().trim().regex(/^[a-z0-9-]+$/, "Id may only contain lowercase letters, digits and dashes").optional(),
+    topic: z.string().trim().min(2, "Topic is required").transform(t => t.toLowerCase()),
+    prompt: z.string().trim().min(5, "Prompt must be at least 5 characters"),
+    difficulty: z.coerce.number().int().min(1, "Difficulty must be 1 to 5").max(5, "Difficulty must be 1 to 5").optional().default(3),
+    feedback: z.string().trim().optional().default(''),
+    status: z.enum(['draft', 'published', 'archived']).optional().default('draft')
+};
+
+const hasCorrectOption = (q) => q.options.some(opt => opt.value === q.correctAnswer);
+const hasUniqueOptions = (q) => new Set(q.options.map(opt => opt.value.toLowerCase())).size === q.options.length;
+
+const fillInTheBlanksSchema = z.object({
+    ...baseFields,
+    type: z.literal('fill-in-the-blanks'),
+    correctAnswer: z.string().trim().min(1, "Correct answer is required"),
+    acceptedAnswers: z.array(z.string().trim().min(1)).optional().default([])
+}).refine(q => q.prompt.includes('_____'), { path: ['prompt'], message: "Prompt must contain a _____ blank" });
+
+const multipleChoiceSchema = z.object({
+    ...baseFields,
+    type: z.literal('multiple-choice'),
+    options: z.array(optionSchema).min(2, "At least 2 options are required").max(6, "At most 6 options are allowed"),
+    correctAnswer: z.string().trim().min(1, "Correct answer is required")
+}).refine(hasCorrectOption, { path: ['correctAnswer'], message: "Correct answer must be one of the options" })
+    .refine(hasUniqueOptions, { path: ['options'], message: "Options must be unique" });
+
+const visualSchema = z.object({
+    ...baseFields,
+    type: z.literal('visual'),
+    options: z.array(optionSchema.extend({
+        imageUrl: z.string({ error: "Visual options need an image URL" }).trim().url("Visual options need an image URL")
+    })).min(2, "At least 2 options are required").max(6, "At most 6 options are allowed"),
+    correctAnswer: z.string().trim().min(1, "Correct answer is required")
+}).refine(hasCorrectOption, { path: ['correctAnswer'], message: "Correct answer must be one of the options" })
+    .refine(hasUniqueOptions, { path: ['options'], message: "Options must be unique" });
+
+const questionInputSchema = z.discriminatedUnion('type', [fillInTheBlanksSchema, multipleChoiceSchema, visualSchema]);
+
+// Full view of a question for authors, answers included
+const formatAuthoredQuestion = (question) => ({
+    id: question.id,
+    topic: question.topic,
+    type: question.type,
+    difficulty: question.difficulty ?? 3,
+    rating: question.rating,
+    status: question.status || 'published',
+    prompt: question.prompt,
+    options: (question.options || []).map(opt => ({
+        value: opt.value,
+        description: opt.description || '',
+        imageUrl: opt.imageUrl || ''
+    })),
+    correctAnswer: question.correctAnswer,
+    acceptedAnswers: question.acceptedAnswers || [],
+    feedback: question.feedback || '',
+    createdBy: question.createdBy,
+    updatedBy: question.updatedBy,
+    createdAt: question.createdAt,
+    updatedAt: question.updatedAt
+});
+
+const authoredValues = (question) => {
+    const formatted = formatAuthoredQuestion(question);
+    return Object.fromEntries(AUTHORED_FIELDS.map(field => [field, formatted[field]]));
+};
+
+// Changed fields between two versions of a question
+const diffQuestion = (before, after) => AUTHORED_FIELDS
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+const parseQuestion = (input, prefix) => {
+    const parsed = questionInputSchema.safeParse(input);
+    if (!parsed.success) throw ApiError.fromZod(parsed.error, prefix);
+    // Only choice questions have options; only typed answers have alternates
+    return { options: [], acceptedAnswers: [], ...parsed.data };
+};
+
+const generateQuestionId = (topic) => `${topic.replace(/[^a-z0-9]+/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+
+async function createQuestion(input, userId) {
+    const data = parseQuestion(input);
+    const id = data.id || generateQuestionId(data.topic);
+    if (await Question.exists({ id })) {
+        throw new ApiError(409, 'id', 'A question with this id already exists');
+    }
+
+    const question = await Question.create({
+        ...data,
+        id,
+        rating: ratingForDifficulty(data.difficulty),
+        createdBy: userId,
+        updatedBy: userId
+    });
+    await QuestionAudit.create({
+        questionId: id,
+        action: 'create',
+        userId,
+        changes: diffQuestion({}, authoredValues(question))
+    });
+    return question;
+}
+
+// Apply a partial edit; the merged question is validated as a whole
+async function updateQuestion(id, input, userId, action = 'update') {
+    const question = await Question.findOne({ id });
+    if (!question) throw new ApiError(404, 'id', 'Question not found');
+
+    const before = authoredValues(question);
+    // The id is fixed once created (and older seeded ids don't follow the authoring format)
+    const data = parseQuestion({ ...before, ...input, id: undefined });
+    const changes = diffQuestion(before, data);
+    if (!changes.length) return question;
+
+    for (const { field } of changes) question[field] = data[field];
+    // A re-levelled question starts over from its new difficulty
+    if (changes.some(c => c.field === 'difficulty')) question.rating = ratingForDifficulty(data.difficulty);
+    question.updatedBy = userId;
+    await question.save();
+    await QuestionAudit.create({ questionId: id, action, userId, changes });
+    return question;
+}
+
+// Questions are archived rather than deleted so Progress and sessions keep resolving them
+async function archiveQuestion(id, userId) {
+    return updateQuestion(id, { status: 'archived' }, userId, 'archive');
+}
+
+async function getQuestionHistory(id) {
+    return QuestionAudit.find({ questionId: id }).sort({ at: -1 }).populate('userId', 'fullname username');
+}
+
+const splitList = (cell) => String(cell || '').split('|').map(s => s.trim()).filter(Boolean);
+
+// Columns missing from the CSV stay undefined, so an update leaves those fields as they are
+const csvRowToQuestion = (row) => {
+    const images = String(row.optionImages || '').split('|').map(s => s.trim());
+    const question = {
+        topic: row.topic,
+        type: row.type,
+        difficulty: row.difficulty || undefined,
+        status: row.status || undefined,
+        prompt: row.prompt,
+        options: row.options === undefined
+            ? undefined
+            : splitList(row.options).map((value, idx) => ({ value, imageUrl: images[idx] || '' })),
+        correctAnswer: row.correctAnswer,
+        acceptedAnswers: row.acceptedAnswers === undefined ? undefined : splitList(row.acceptedAnswers),
+        feedback: row.feedback
+    };
+    if (row.id) question.id = row.id.trim();
+    return question;
+};
+
+// The fields an import row actually gives; the rest keep their current values on update
+const givenFields = (row) => Object.fromEntries(
+    Object.entries(row || {}).filter(([field, value]) => field !== 'id' && value !== undefined)
+);
+
+const questionToCsvRow = (question) => ({
+    id: question.id,
+    topic: question.topic,
+    type: question.type,
+    difficulty: question.difficulty ?? 3,
+    status: question.status || 'published',
+    prompt: question.prompt,
+    options: (question.options || []).map(opt => opt.value).join('|'),
+    optionImages: (question.options || []).map(opt => opt.imageUrl || '').join('|'),
+    correctAnswer: question.correctAnswer,
+    acceptedAnswers: (question.acceptedAnswers || []).join('|'),
+    feedback: question.feedback || ''
+});
+
+// Bulk import from JSON objects or CSV text. Every row is validated before anything is
+// written; rows with an existing id update that question with the fields they give (so
+// defaults don't overwrite it), the rest are created.
+async function importQuestions({ format, questions, csv }, userId) {
+    const rows = format === 'csv' ? parseCsv(csv).map(csvRowToQuestion) : questions;
+    if (!Array.isArray(rows) || !rows.length) {
+        throw new ApiError(400, 'questions', 'No questions to import');
+    }
+
+    const ids = rows.map(row => row && typeof row.id === 'string' ? row.id.trim() : null).filter(Boolean);
+    const existing = new Map((await Question.find({ id: { $in: ids } })).map(q => [q.id, q]));
+
+    const errors = [];
+    const parsedRows = rows.map((row, idx) => {
+        try {
+            const current = existing.get(row && typeof row.id === 'string' ? row.id.trim() : null);
+            if (!current) return parseQuestion(row, `${idx}.`);
+            const changes = givenFields(row);
+            // Validated as the merged question, like an edit
+            parseQuestion({ ...authoredValues(current), ...changes, id: undefined }, `${idx}.`);
+            return { id: current.id, changes };
+        } catch (e) {
+            if (!(e instanceof ApiError)) throw e;
+            errors.push(...e.errors);
+            return null;
+        }
+    });
+    if (errors.length) throw new ApiError(400, errors[0].path, errors[0].message, errors);
+
+    let created = 0;
+    let updated = 0;
+    for (const data of parsedRows) {
+        if (data.changes) {
+            await updateQuestion(data.id, data.changes, userId, 'import');
+            updated++;
+        } else {
+            const id = data.id || generateQuestionId(data.topic);
+            const question = await Question.create({
+                ...data,
+                id,
+                rating: ratingForDifficulty(data.difficulty),
+                createdBy: userId,
+                updatedBy: userId
+            });
+            await QuestionAudit.create({
+                questionId: id,
+                action: 'import',
+                userId,
+                changes: diffQuestion({}, authoredValues(question))
+            });
+            created++;
+        }
+    }
+    return { created, updated };
+}
+
+// Export matching questions as JSON objects or CSV text
+async function exportQuestions(filter, format) {
+    const questions = await Question.find(filter).sort({ topic: 1, id: 1 });
+    if (format === 'csv') return toCsv(questions.map(questionToCsvRow), CSV_COLUMNS);
+    return questions.map(formatAuthoredQuestion);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    formatAuthoredQuestion,
+    createQuestion,
+    updateQuestion,
+    archiveQuestion,
+    getQuestionHistory,
+    importQuestions,
+    exportQuestions
+};
@@ -0,0 +1,284 @@
+const { Question, Progress, QuizSession, Homework } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { gradeAnswer } = require('./grading.js');
+const { recordReview, dueQuestionIds } = require('./spacedRepetition.js');
+const { targetRating, pickNearRating, recordMasteryAnswer } = require('./mastery.js');
+const { recordActivity } = require('./streak.js');
+const { rewardActivity, rewardTopicLevels } = require('./economy.js');
+const { evaluateAchievements } = require('./achievements.js');
+const { submitHomework } = require('./homework.js');
+
+const XP_PER_CORRECT = 10;
+const LESSON_BONUS_XP = 10;
+
+// Review sessions are not tied to one topic; they are stored under this pseudo-topic
+const REVIEW_TOPIC = 'review';
+
+// The question that was served last and not answered yet (null if none)
+const pendingQuestion = (session) => {
+    const last = session.questions[session.questions.length - 1];
+    return last && !last.answeredAt ? last : null;
+};
+
+const answeredCount = (session) => session.questions.filter(q => q.answeredAt).length;
+
+// Public view of a session, safe to send to the client
+const summarizeSession = (session) => ({
+    sessionId: session._id.toString(),
+    topic: session.topic,
+    mode: session.mode || 'learn',
+    status: session.status,
+    questionNumber: answeredCount(session),
+    totalQuestions: session.totalQuestions,
+    xp: session.xp,
+    brains: session.brains,
+    maxBrains: session.maxBrains
+});
+
+// Format a Question document the way learning.html expects it.
+// The answer and feedback stay on the server until the student submits.
+const formatQuestion = (question) => ({
+    id: question.id,
+    type: question.type,
+    prompt: question.prompt,
+    options: (question.options || []).map(opt => {
+        if (typeof opt === 'string') {
+            return { value: opt, description: '', imageUrl: '' };
+        }
+
+        return {
+            value: opt.value || opt,
+            description: opt.description || '',
+            imageUrl: opt.imageUrl || ''
+        };
+    })
+});
+
+// Wrong answers cost brains, except in homework: running out mustn't stop assigned work
+const usesBrains = (session) => session.mode !== 'homework';
+
+// Resume the user's active session for a topic (or their review session), or start one.
+// A lesson is only started for a topic that has published questions.
+async function getOrStartSession(userId, topic, mode = 'learn') {
+    if (mode === 'review') topic = REVIEW_TOPIC;
+    if (mode === 'learn' && !await QuizSession.exists({ userId, topic, status: 'active' })
+        && !await Question.exists({ topic, status: 'published' })) {
+        throw new ApiError(404, 'questions', 'No questions available for this topic');
+    }
+    try {
+        return await QuizSession.findOneAndUpdate(
+            { userId, topic, status: 'active' },
+            { $setOnInsert: { startedAt: new Date(), mode } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (e) {
+        // Two requests raced to create the session; the other one won
+        if (e.code === 11000) return QuizSession.findOne({ userId, topic, status: 'active' });
+        throw e;
+    }
+}
+
+// Grade (or skip) the pending question. Each served question can only be resolved once.
+async function answerQuestion(session, { questionId, userAnswer, skip }) {
+    const pending = pendingQuestion(session);
+    if (!pending || pending.questionId !== questionId) {
+        throw new ApiError(409, 'questionId', 'This question is not the current question of the session');
+    }
+    if (!skip && usesBrains(session) && session.brains <= 0) {
+        throw new ApiError(409, 'brains', 'No brains left. Refill to keep going');
+    }
+
+    let question = null;
+    let rewards = [];
+    let achievements = [];
+    let isCorrect = null;
+    let grade = null;
+    let xp = 0;
+    if (!skip) {
+        question = await Question.findOne({ id: questionId });
+        if (!question) throw new ApiError(404, 'questionId', 'Question not found');
+        grade = gradeAnswer(question, userAnswer);
+        isCorrect = grade.isCorrect;
+        xp = isCorrect ? XP_PER_CORRECT : 0;
+    }
+
+    const index = session.questions.length - 1;
+    const updated = await QuizSession.findOneAndUpdate(
+        { _id: session._id, status: 'active', [`questions.${index}.answeredAt`]: null },
+        {
+            $set: {
+                [`questions.${index}.answeredAt`]: new Date(),
+                [`questions.${index}.userAnswer`]: skip ? null : (userAnswer || ''),
+                [`questions.${index}.isCorrect`]: isCorrect,
+                [`questions.${index}.skipped`]: !!skip,
+                [`questions.${index}.xp`]: xp
+            },
+            $inc: { xp, brains: isCorrect === false && usesBrains(session) ? -1 : 0 }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ApiError(409, 'questionId', 'This question has already been answered');
+    }
+
+    if (!skip) {
+        await Progress.create({
+            userId: session.userId,
+            questionId,
+            xp,
+            isCorrect,
+            brains: updated.brains,
+            userAnswer: userAnswer || '',
+            topic: question.topic,
+            sessionId: session._id
+        });
+        await recordReview(session.userId, questionId, question.topic, isCorrect);
+        await recordMasteryAnswer(session.userId, question, isCorrect);
+        if (isCorrect) rewards = await rewardActivity(session.userId, await recordActivity(session.userId, xp));
+        achievements = await evaluateAchievements(session.userId, isCorrect ? ['progress', 'streak'] : ['progress']);
+    }
+
+    // Skipping does not reveal the answer; submitting does
+    const result = { questionId, isCorrect, skipped: !!skip, xp, rewards, achievements };
+    if (grade) Object.assign(result, { correctAnswer: grade.correctAnswer, feedback: grade.feedback });
+
+    return { session: updated, result };
+}
+
+// Choose the next question. Review sessions only serve questions that are due, and homework
+// sessions the teacher's questions in order; topic sessions bring back due questions first,
+// then unseen ones, then anything not yet asked in this session, each time preferring
+// questions near the learner's level.
+async function pickQuestion(session) {
+    const served = session.questions.map(q => q.questionId);
+
+    if (session.mode === 'homework') {
+        const homework = await Homework.findById(session.homeworkId);
+        const remaining = homework ? homework.questionIds.filter(id => !served.includes(id)) : [];
+        const questions = await Question.find({ id: { $in: remaining } });
+        const byId = new Map(questions.map(q => [q.id, q]));
+        const next = remaining.find(id => byId.has(id));
+        return next ? byId.get(next) : null;
+    }
+
+    if (session.mode === 'review') {
+        const due = (await dueQuestionIds(session.userId)).filter(id => !served.includes(id));
+        const questions = await Question.find({ id: { $in: due }, status: 'published' });
+        const byId = new Map(questions.map(q => [q.id, q]));
+        const next = due.find(id => byId.has(id));
+        return next ? byId.get(next) : null;
+    }
+
+    const questions = await Question.find({ topic: session.topic, status: 'published' });
+    if (!questions.length) return null;
+
+    const due = await dueQuestionIds(session.userId, { topic: session.topic });
+    const dueQuestions = questions
+        .filter(q => due.includes(q.id) && !served.includes(q.id))
+        .sort((a, b) => due.indexOf(a.id) - due.indexOf(b.id));
+    if (dueQuestions.length) return dueQuestions[0];
+
+    const answeredBefore = await Progress.find({ userId: session.userId, topic: session.topic }).distinct('questionId');
+    let available = questions.filter(q => !served.includes(q.id) && !answeredBefore.includes(q.id));
+    if (!available.length) available = questions.filter(q => !served.includes(q.id));
+    if (!available.length) available = questions;
+
+    return pickNearRating(available, await targetRating(session.userId, session.topic));
+}
+
+// Return the pending question, or pick and record a new one. The question is null once the
+// session is used up, or with `outOfBrains` set while the student has to refill first.
+async function serveQuestion(session) {
+    const pending = pendingQuestion(session);
+    if (pending) {
+        const question = await Question.findOne({ id: pending.questionId });
+        if (question) return { session, question };
+    }
+    if (answeredCount(session) >= session.totalQuestions) return { session, question: null };
+    if (usesBrains(session) && session.brains <= 0) return { session, question: null, outOfBrains: true };
+
+    const question = await pickQuestion(session);
+    if (!question) {
+        // Nothing left to review, or homework questions deleted since: the session ends early
+        if (session.mode !== 'learn') return { session, question: null };
+        throw new ApiError(404, 'questions', 'No questions available for this topic');
+    }
+
+    const updated = await QuizSession.findOneAndUpdate(
+        { _id: session._id, status: 'active', questions: { $size: session.questions.length } },
+        { $push: { questions: { questionId: question.id } } },
+        { new: true }
+    );
+    if (!updated) {
+        // A concurrent request already served a question; hand back that one
+        const fresh = await QuizSession.findById(session._id);
+        const current = fresh && pendingQuestion(fresh);
+        if (!current) throw new ApiError(409, 'session', 'Quiz session changed, please retry');
+        return { session: fresh, question: await Question.findOne({ id: current.questionId }) };
+    }
+
+    return { session: updated, question };
+}
+
+// Mark the session completed. `finalized` is true only for the call that actually closed it,
+// and only that call hands out the crowns for topic levels reached during the lesson, or
+// hands in the homework.
+async function finalizeSession(session) {
+    const closed = await QuizSession.findOneAndUpdate(
+        { _id: session._id, status: 'active' },
+        { $set: { status: 'completed', completedAt: new Date() } },
+        { new: true }
+    );
+    if (closed) {
+        const rewards = closed.mode === 'learn' ? await rewardTopicLevels(closed.userId, closed.topic) : [];
+        const homework = closed.mode === 'homework' ? await submitHomework(closed) : null;
+        const achievements = await evaluateAchievements(closed.userId, ['session']);
+        return { session: closed, finalized: true, rewards, achievements, homework };
+    }
+    return { session: await QuizSession.findById(session._id), finalized: false, rewards: [], achievements: [], homework: null };
+}
+
+// Pay the lesson completion bonus for a completed session, once. Only sessions where
+// the student got at least one answer right count as a lesson.
+async function claimLessonBonus(userId, sessionId) {
+    const session = await QuizSession.findOne({ _id: sessionId, userId });
+    if (!session) throw new ApiError(404, 'sessionId', 'Quiz session not found');
+    if (session.status !== 'completed') throw new ApiError(409, 'sessionId', 'Finish the lesson first');
+    if (!session.questions.some(q => q.isCorrect)) {
+        throw new ApiError(409, 'sessionId', 'Answer at least one question correctly to complete the lesson');
+    }
+
+    const claimed = await QuizSession.findOneAndUpdate(
+        { _id: session._id, bonusClaimed: false },
+        { $set: { bonusClaimed: true } },
+        { new: true }
+    );
+    if (!claimed) throw new ApiError(409, 'sessionId', 'This lesson has already been counted');
+
+    const activity = await recordActivity(userId, LESSON_BONUS_XP);
+    const rewards = await rewardActivity(userId, activity);
+    const achievements = await evaluateAchievements(userId, ['streak']);
+    return { session: claimed, xp: LESSON_BONUS_XP, rewards, achievements, ...activity };
+}
+
+// Give up on the active session (e.g. out of brains and no gems to refill)
+async function abandonSession(session) {
+    return QuizSession.findOneAndUpdate(
+        { _id: session._id, status: 'active' },
+        { $set: { status: 'abandoned', completedAt: new Date() } },
+        { new: true }
+    );
+}
+
+module.exports = {
+    XP_PER_CORRECT,
+    REVIEW_TOPIC,
+    summarizeSession,
+    formatQuestion,
+    getOrStartSession,
+    answerQuestion,
+    serveQuestion,
+    finalizeSession,
+    claimLessonBonus,
+    abandonSession
+};
@@ -0,0 +1,87 @@
+// Fixed-window rate limiting. Counters live in a store: any object with
+// `async increment(key, windowMs)` resolving to { count, resetAt } and `async reset(key)`.
+// The default keeps them in this process's memory, which is enough for one server; with
+// several instances, plug in a shared store (Redis, MongoDB...) with setRateLimitStore().
+
+class MemoryStore {
+    constructor() {
+        this.windows = new Map();
+        // Drop finished windows now and then so idle keys don't pile up
+        this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, window);
+        }
+        window.count++;
+        return { count: window.count, resetAt: new Date(window.resetAt) };
+    }
+
+    async reset(key) {
+        this.windows.delete(key);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+let store = new MemoryStore();
+
+const setRateLimitStore = (next) => {
+    store = next;
+};
+
+const tooManyRequests = (res, resetAt, message) => {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+    return res.status(429).json({ errors: [{ path: 'rateLimit', message, code: 'rate_limited' }] });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each key. `key(req)` picks what is
+// counted (the IP by default); returning null skips the limit for that request.
+// `middleware.check(id)` counts a hit outside of Express, e.g. for a WebSocket message.
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+    const check = async (id) => {
+        const result = await store.increment(`${name}:${id}`, windowMs);
+        return { allowed: result.count <= max, remaining: Math.max(0, max - result.count), resetAt: result.resetAt };
+    };
+
+    const middleware = async (req, res, next) => {
+        let result;
+        try {
+            const id = key(req);
+            if (id === null || id === undefined) return next();
+            result = await check(id);
+        } catch (e) {
+            // A broken store shouldn't take the endpoint down with it
+            console.error('Rate limit store error:', e);
+            return next();
+        }
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        if (!result.allowed) return tooManyRequests(res, result.resetAt, message);
+        next();
+    };
+    middleware.check = check;
+    middleware.message = message;
+    return middleware;
+};
+
+// Forget a key's count, e.g. a username's failed sign-ins once one succeeds
+const resetRateLimit = (name, id) => store.reset(`${name}:${id}`);
+
+module.exports = {
+    MemoryStore,
+    setRateLimitStore,
+    rateLimit,
+    resetRateLimit
+};
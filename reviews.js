@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const { usersModel, StudentAssignment, Review, Contract, FreelancerProfile } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { evaluateAchievements } = require('./achievements.js');
+
+const formatReview = (review) => ({
+    id: review._id,
+    teacherId: review.teacherId && review.teacherId._id ? review.teacherId._id : review.teacherId,
+    teacherName: review.teacherId && review.teacherId.fullname,
+    studentName: review.studentId && review.studentId.fullname,
+    contractId: review.contractId || null,
+    rating: review.rating,
+    comment: review.comment,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+});
+
+// Teaching reviews count towards the rating on the teacher's user, contract reviews towards
+// the one on their freelancer profile; the two are kept apart
+const ratingTarget = (userId, contractId) => contractId
+    ? { model: FreelancerProfile, filter: { userId }, reviews: { contractId: { $ne: null } } }
+    : { model: usersModel, filter: { _id: userId }, reviews: { contractId: null } };
+
+// A teacher's (or freelancer profile's) average, count and 1-5 star histogram
+const ratingSummary = (teacher) => {
+    const stars = teacher.ratingStars || [];
+    return {
+        rating: teacher.rating || 0,
+        count: teacher.ratingCount || 0,
+        stars: Object.fromEntries([1, 2, 3, 4, 5].map(s => [s, stars[s - 1] || 0]))
+    };
+};
+
+// Recount a rating from the reviews it is made of
+async function rebuildRating(userId, target) {
+    const [totals] = await Review.aggregate([
+        { $match: { teacherId: new mongoose.Types.ObjectId(userId), ...target.reviews } },
+        {
+            $group: {
+                _id: null,
+                sum: { $sum: '$rating' },
+                count: { $sum: 1 },
+                stars: { $push: '$rating' }
+            }
+        }
+    ]);
+    const stars = [0, 0, 0, 0, 0];
+    for (const s of totals ? totals.stars : []) stars[s - 1]++;
+    const count = totals ? totals.count : 0;
+    const sum = totals ? totals.sum : 0;
+    await target.model.updateOne(target.filter, {
+        $set: {
+            ratingSum: sum,
+            ratingCount: count,
+            ratingStars: stars,
+            rating: count ? Math.round(10 * sum / count) / 10 : 0
+        }
+    });
+}
+
+const rebuildTeacherRating = (teacherId) => rebuildRating(teacherId, ratingTarget(teacherId, null));
+const rebuildFreelancerRating = (userId) => rebuildRating(userId, ratingTarget(userId, true));
+
+// Move the rating a review counts towards by one review added (`added` stars), removed, or
+// both for an edit. Done in one pipeline update so concurrent reviews can't lose each other's counts.
+async function applyRatingChange(userId, contractId, { added = null, removed = null }) {
+    const target = ratingTarget(userId, contractId);
+    // Ratings from before counts were kept (or kept separately) start from a full recount
+    if (await target.model.exists({ ...target.filter, ratingSum: { $exists: false } })) {
+        return rebuildRating(userId, target);
+    }
+
+    const starDelta = [0, 0, 0, 0, 0];
+    if (added) starDelta[added - 1]++;
+    if (removed) starDelta[removed - 1]--;
+    await target.model.updateOne(target.filter, [
+        {
+            $set: {
+                ratingSum: { $add: [{ $ifNull: ['$ratingSum', 0] }, (added || 0) - (removed || 0)] },
+                ratingCount: { $add: [{ $ifNull: ['$ratingCount', 0] }, (added ? 1 : 0) - (removed ? 1 : 0)] },
+                ratingStars: {
+                    $map: {
+                        input: [0, 1, 2, 3, 4],
+                        as: 'i',
+                        in: { $add: [{ $ifNull: [{ $arrayElemAt: ['$ratingStars', '$$i'] }, 0] }, { $arrayElemAt: [starDelta, '$$i'] }] }
+                    }
+                }
+            }
+        },
+        {
+            $set: {
+                rating: {
+                    $cond: [
+                        { $gt: ['$ratingCount', 0] },
+                        { $round: [{ $divide: ['$ratingSum', '$ratingCount'] }, 1] },
+                        0
+                    ]
+                }
+            }
+        }
+    ]);
+}
+
+// A student reviews a teacher they are or were assigned to, once
+async function createReview(studentId, { teacherId, rating, comment = '' }) {
+    if (!await StudentAssignment.exists({ teacherId, studentId })) {
+        throw new ApiError(403, 'teacherId', 'You can only review teachers who have taught you');
+    }
+
+    let review;
+    try {
+        review = await Review.create({ teacherId, studentId, rating, comment });
+    } catch (e) {
+        if (e.code === 11000) throw new ApiError(409, 'teacherId', 'You have already reviewed this teacher');
+        throw e;
+    }
+    await applyRatingChange(teacherId, null, { added: rating });
+
+    const achievements = await evaluateAchievements(studentId, ['review']);
+    await review.populate('teacherId studentId', 'fullname');
+    return { review: formatReview(review), achievements };
+}
+
+// The client of a completed contract reviews the freelancer, once per contract. It counts
+// towards the rating on their freelancer profile, not their teaching rating.
+async function createContractReview(clientId, contractId, { rating, comment = '' }) {
+    const contract = await Contract.findOne({ _id: contractId, clientId });
+    if (!contract) throw new ApiError(404, 'contractId', 'Contract not found');
+    if (contract.status !== 'completed') throw new ApiError(409, 'contractId', 'Only completed contracts can be reviewed');
+
+    let review;
+    try {
+        review = await Review.create({ teacherId: contract.freelancerId, studentId: clientId, contractId, rating, comment });
+    } catch (e) {
+        if (e.code === 11000) throw new ApiError(409, 'contractId', 'You have already reviewed this contract');
+        throw e;
+    }
+    await applyRatingChange(contract.freelancerId, contractId, { added: rating });
+
+    await review.populate('teacherId studentId', 'fullname');
+    return formatReview(review);
+}
+
+async function updateReview(studentId, reviewId, { rating, comment }) {
+    const update = { updatedAt: new Date() };
+    if (rating !== undefined) update.rating = rating;
+    if (comment !== undefined) update.comment = comment;
+
+    // The previous version tells us which stars to take back
+    const previous = await Review.findOneAndUpdate({ _id: reviewId, studentId }, { $set: update });
+    if (!previous) throw new ApiError(404, 'reviewId', 'Review not found');
+    if (rating !== undefined && rating !== previous.rating) {
+        await applyRatingChange(previous.teacherId, previous.contractId, { added: rating, removed: previous.rating });
+    }
+
+    const review = await Review.findById(reviewId).populate('teacherId studentId', 'fullname');
+    return formatReview(review);
+}
+
+// Delete the student's own review, or any review when `studentId` is null (admin moderation)
+async function deleteReview(studentId, reviewId) {
+    const review = await Review.findOneAndDelete(studentId ? { _id: reviewId, studentId } : { _id: reviewId });
+    if (!review) throw new ApiError(404, 'reviewId', 'Review not found');
+    await applyRatingChange(review.teacherId, review.contractId, { removed: review.rating });
+    return formatReview(review);
+}
+
+// A teacher's rating summary and reviews, newest first
+async function listTeacherReviews(teacherId, { limit = 50 } = {}) {
+    const teacher = await usersModel.findById(teacherId).select('role rating ratingCount ratingStars verified');
+    if (!teacher || teacher.role !== 'Teacher') throw new ApiError(404, 'teacherId', 'Teacher not found');
+    // Teaching reviews only; contract reviews are from marketplace clients, not students
+    const reviews = await Review.find({ teacherId, contractId: null }).sort({ createdAt: -1 }).limit(limit).populate('studentId', 'fullname');
+    return { verified: !!teacher.verified, summary: ratingSummary(teacher), reviews: reviews.map(formatReview) };
+}
+
+// Every review, newest first, for moderation
+async function listAllReviews({ teacherId, studentId, maxRating, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (teacherId) filter.teacherId = teacherId;
+    if (studentId) filter.studentId = studentId;
+    if (maxRating) filter.rating = { $lte: maxRating };
+    const [total, reviews] = await Promise.all([
+        Review.countDocuments(filter),
+        Review.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('teacherId studentId', 'fullname')
+    ]);
+    return { total, page, reviews: reviews.map(formatReview) };
+}
+
+async function listReviewsBy(studentId) {
+    const reviews = await Review.find({ studentId }).sort({ createdAt: -1 }).populate('teacherId', 'fullname');
+    return reviews.map(formatReview);
+}
+
+module.exports = {
+    formatReview,
+    ratingSummary,
+    rebuildTeacherRating,
+    rebuildFreelancerRating,
+    createReview,
+    createContractReview,
+    updateReview,
+    deleteReview,
+    listTeacherReviews,
+    listAllReviews,
+    listReviewsBy
+};
@@ -1,20 +1,70 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { usersModel, Question, Progress, Courses, StudentAssignment, Review } = require('./db.js');
-const jwt = require('jsonwebtoken');
-const { authenticateJWT } = require('./auth.js');
-const bcrypt = require('bcrypt');
+const { usersModel, Question, Courses, Review, QuizSession } = require('./db.js');
+const { ROLES, authenticateJWT, requireRole, requirePermission } = require('./auth.js');
+const { sendApiError, sendZodError } = require('./errors.js');
+const {
+    formatAuthoredQuestion, createQuestion, updateQuestion, archiveQuestion,
+    getQuestionHistory, importQuestions, exportQuestions
+} = require('./questionBank.js');
+const {
+    REVIEW_TOPIC, summarizeSession, formatQuestion, getOrStartSession,
+    answerQuestion, serveQuestion, finalizeSession, claimLessonBonus, abandonSession
+} = require('./quiz.js');
+const { ensureSchedules, listDueReviews } = require('./spacedRepetition.js');
+const { listMastery } = require('./mastery.js');
+const { isValidTimezone, rolloverUser, streakStatus, runDailyRollover } = require('./streak.js');
+const {
+    SHOP_ITEMS, formatShopItem, purchase, equipFrame,
+    ledgerBalances, rebuildBalances, listTransactions
+} = require('./economy.js');
+const { getLeaderboard, getLeague, closeFinishedLeagueWeeks } = require('./leaderboard.js');
+const { listAchievements } = require('./achievements.js');
+const {
+    applyToTeach, listApplicationsOf, listApplications, reviewApplication,
+    searchTeachers, requestTeacher, listRequests, respondToRequest,
+    cancelRequest, endAssignment, listTeachersOf, listStudentsOf
+} = require('./teachers.js');
+const {
+    formatReview, createReview, createContractReview, updateReview, deleteReview, listTeacherReviews, listAllReviews, listReviewsBy
+} = require('./reviews.js');
+const { listUsers, updateUser, promoteConfiguredAdmins } = require('./admin.js');
+const { createSession, refreshSession, revokeSession, revokeAllSessions, listSessions } = require('./sessions.js');
+const { rateLimit, resetRateLimit } = require('./rateLimit.js');
+const { chatMessageSchema, sendChatMessage, listConversations, getConversation, deleteConversation } = require('./chat.js');
+const { attachChatSocket } = require('./chatSocket.js');
+const { CSV_SECTIONS, studentReport, classReport, reportCsv } = require('./teacherReports.js');
+const { RANGES, progressSummary, progressAnalytics } = require('./analytics.js');
+const {
+    HOMEWORK_TOPIC_PREFIX, homeworkTopic, createHomework, listHomeworkOf, getHomework, listStudentHomework, startHomework
+} = require('./homework.js');
+const { listTopicPacks, exportTopicPack, recordPackDownload } = require('./topicPacks.js');
+const {
+    CATEGORIES, CATEGORY_IDS, saveFreelancerProfile, getFreelancer, searchFreelancers,
+    postJob, searchJobs, getJob, listJobsOf, cancelJob, sendProposal, listProposalsFor,
+    listProposalsBy, withdrawProposal, acceptProposal, listContractsOf, endContract
+} = require('./marketplace.js');
+const { MAX_SYNC_ANSWERS, syncOfflineAnswers } = require('./offlineSync.js');
+const {
+    STREAMS, listEntries, createEntry, updateEntry, deleteEntry, recommendFor, admissionTimeline, seedCounselling
+} = require('./counselling.js');
+const {
+    MAX_DOCUMENT_BYTES, submitVerification, verificationStatusOf, listVerifications, reviewVerification, readDocument
+} = require('./verification.js');
+const { MAX_AVATAR_BYTES, AVATAR_VARIANTS, setAvatar, readMedia } = require('./media.js');
+const {
+    hashPassword, authenticate, sendVerification, verifyEmail,
+    requestPasswordReset, resetPassword, changePassword
+} = require('./account.js');
 const { z } = require('zod');
 const path = require('path');
-const axios = require('axios');
 const multer = require('multer');
 
 // Destructure env vars (undefined in Vercel if not set)
 const JWT_SECRETE = process.env.JWT_SECRETE;
 const mongooseClusterString = process.env.mongooseClusterString;
-
-// Flask AI endpoint (set in env for security, fallback to hardcoded)
-const FLASK_URL = process.env.FLASK_URL || 'https://chatbot-1-fsgx.onrender.com/webhook';
+// Comma-separated usernames given the Admin role at startup
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(u => u.trim()).filter(Boolean);
 
 // Validate env vars early (log but don't crash for Vercel)
 if (!JWT_SECRETE) {
@@ -26,6 +76,10 @@ if (!mongooseClusterString) {
 }
 
 const app = express();
+// Client IPs (used for rate limiting) come from X-Forwarded-For set by TRUST_PROXY proxies,
+// one on Vercel (which sets VERCEL). Otherwise the header is ignored, since clients that
+// connect directly could set it to dodge the per-IP limits.
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.VERCEL ? 1 : 0)));
 
 // Connect to MongoDB
 mongoose.connect(mongooseClusterString)
@@ -36,9 +90,46 @@ mongoose.connect(mongooseClusterString)
 app.use(express.static(path.join(__dirname, '/public')));
 app.use(express.json());
 
-// Multer for avatar upload (memory storage for base64)
+// Rate limits for endpoints worth guessing at or expensive to call
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const usernameKey = (req) => typeof req.body?.username === 'string' ? req.body.username.toLowerCase() : null;
+const emailKey = (req) => typeof req.body?.email === 'string' ? req.body.email.toLowerCase() : null;
+const limits = {
+    signinIp: rateLimit({ name: 'signin-ip', windowMs: 15 * MINUTE_MS, max: 30, message: 'Too many sign-in attempts, please try again later' }),
+    signinUser: rateLimit({ name: 'signin-user', windowMs: 15 * MINUTE_MS, max: 10, key: usernameKey, message: 'Too many sign-in attempts, please try again later' }),
+    signup: rateLimit({ name: 'signup', windowMs: HOUR_MS, max: 10 }),
+    refresh: rateLimit({ name: 'refresh', windowMs: 15 * MINUTE_MS, max: 60 }),
+    emailIp: rateLimit({ name: 'email-ip', windowMs: HOUR_MS, max: 10 }),
+    emailAddress: rateLimit({ name: 'email-address', windowMs: HOUR_MS, max: 3, key: emailKey }),
+    tokenIp: rateLimit({ name: 'token-ip', windowMs: 15 * MINUTE_MS, max: 20 }),
+    password: rateLimit({ name: 'password', windowMs: 15 * MINUTE_MS, max: 5, key: (req) => req.userId }),
+    chat: rateLimit({ name: 'chat', windowMs: MINUTE_MS, max: 10, key: (req) => req.userId, message: 'You are sending messages too quickly' }),
+    sync: rateLimit({ name: 'sync', windowMs: MINUTE_MS, max: 6, key: (req) => req.userId, message: 'Syncing too often, please try again in a minute' })
+};
+
+// MongoDB ids in a body or query field, and route params holding one, e.g. objectIdParam('reviewId')
+const objectId = (message = "Invalid id") => z.string().regex(/^[a-f\d]{24}$/i, message);
+const objectIdParam = (name) => z.object({ [name]: objectId() });
+
+// Uploads are kept in memory until checked, then stored by media.js / verification.js
 const storage = multer.memoryStorage();
-const upload = multer({ storage });
+const avatarUpload = multer({ storage, limits: { fileSize: MAX_AVATAR_BYTES, files: 1 } }).single('avatar');
+// Verification documents, one field per kind, kept in memory until verification.js stores them
+const documentUpload = multer({ storage, limits: { fileSize: MAX_DOCUMENT_BYTES, files: 5 } }).fields([
+    { name: 'aadhaar', maxCount: 1 },
+    { name: 'pan', maxCount: 1 },
+    { name: 'other', maxCount: 3 }
+]);
+
+// Upload errors are a 400, not a server error: Multer's own (file too large, unexpected field)
+// and the parser's on a malformed body (e.g. "Unexpected end of form"); memory storage can't fail
+const handleUpload = (middleware) => (req, res, next) => middleware(req, res, (err) => {
+    if (err) {
+        return res.status(400).json({ errors: [{ path: err.field || 'file', message: err.message }] });
+    }
+    next();
+});
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -47,7 +138,7 @@ app.use((err, req, res, next) => {
 });
 
 // Signup endpoint (now under /api/)
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', limits.signup, async (req, res) => {
     console.log("Signup request body:", req.body);
     const validationSchema = z.object({
         fullname: z.string()
@@ -77,7 +168,9 @@ app.post('/api/signup', async (req, res) => {
         marks12: z.string()
             .optional()
             .or(z.literal('')),
-        role: z.enum(['Student', 'Teacher']).optional().default('Student')
+        timezone: z.string()
+            .refine(isValidTimezone, "Unknown timezone")
+            .optional()
     });
 
     const parsed = validationSchema.safeParse(req.body);
@@ -94,7 +187,7 @@ app.post('/api/signup', async (req, res) => {
 
     const {
         fullname, email, password, phone, state,
-        username, school10, marks10, school12, stream12, marks12, role
+        username, school10, marks10, school12, stream12, marks12, timezone
     } = parsed.data;
 
     try {
@@ -111,10 +204,10 @@ app.post('/api/signup', async (req, res) => {
             });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 5);
+        const hashedPassword = await hashPassword(password);
         const marks10Num = parseFloat(marks10);
         const marks12Num = marks12 ? parseFloat(marks12) : undefined;
-        await usersModel.create({
+        const user = await usersModel.create({
             fullname,
             email,
             password: hashedPassword,
@@ -126,9 +219,12 @@ app.post('/api/signup', async (req, res) => {
             school12,
             stream12,
             marks12: marks12Num,
-            role
+            timezone
         });
 
+        // The account works straight away; the emailed link proves the address
+        await sendVerification(user).catch(err => console.error('Verification email failed:', err));
+
         return res.json({ message: "Successfully signed up" });
 
     } catch (e) {
@@ -147,29 +243,28 @@ app.post('/api/signup', async (req, res) => {
 });
 
 // Signin endpoint (now under /api/)
-app.post('/api/signin', async (req, res) => {
-    const { username, password } = req.body;
+// Rate limited per IP and per username; accounts also lock after repeated failures
+app.post('/api/signin', limits.signinIp, limits.signinUser, async (req, res) => {
+    const parsed = z.object({
+        username: z.string().min(1, "Username is required"),
+        password: z.string().min(1, "Password is required")
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    const { username, password } = parsed.data;
     console.log("Signin request:", username);
     try {
-        const user = await usersModel.findOne({ username });
-        if (!user) {
-            return res.status(403).json({
-                errors: [{ path: 'username', message: 'Invalid username' }]
-            });
-        }
-        const match = await bcrypt.compare(password, user.password);
-        if (!match) {
-            return res.status(403).json({
-                errors: [{ path: 'password', message: 'Invalid password' }]
-            });
-        }
+        const user = await authenticate(username, password);
+        await resetRateLimit('signin-user', username.toLowerCase());
         if (!JWT_SECRETE) {
             return res.status(500).json({ error: 'Server configuration error' });
         }
 
-        const token = jwt.sign({ id: user._id.toString() }, JWT_SECRETE);
-        return res.json({ token });
+        // A short-lived access token plus a refresh token for this device
+        return res.json(await createSession(user._id, { userAgent: req.get('user-agent'), ip: req.ip }));
     } catch (e) {
+        if (sendApiError(res, e)) return;
         console.error("Signin error:", e);
         return res.status(500).json({
             errors: [{ path: 'server', message: 'An unexpected error occurred' }]
@@ -177,143 +272,487 @@ app.post('/api/signin', async (req, res) => {
     }
 });
 
-// Dynamic topic questions endpoint
-app.post('/api/topic/:topic', authenticateJWT, async (req, res) => {
-    const { xp, isCorrect, brains, questionId, userAnswer, questionNumber = 0 } = req.body;
-    let topic = req.params.topic.toLowerCase();  // Ensure lowercase
-    console.log(`Fetching for topic: ${topic}, questionNumber: ${questionNumber}`);  // Debug log
-
-    try {
-        // Validate input data
-        const progressValidation = z.object({
-            xp: z.number().optional(),
-            isCorrect: z.boolean().nullable(),
-            brains: z.number().optional(),
-            questionId: z.string().optional().nullable(),
-            userAnswer: z.string().optional().nullable(),
-            questionNumber: z.number().min(0).optional()
-        });
+// POST /api/auth/refresh
+// Swap a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', limits.refresh, async (req, res) => {
+    const parsed = z.object({
+        refreshToken: z.string().min(1)
+    }).safeParse(req.body || {});
 
-        const parsed = progressValidation.safeParse(req.body);
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
-        if (!parsed.success) {
-            const formatted = parsed.error.issues.map(e => ({
-                path: e.path.join("."),
-                message: e.message
-            }));
+    try {
+        res.json(await refreshSession(parsed.data.refreshToken, { userAgent: req.get('user-agent'), ip: req.ip }));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
 
-            return res.status(400).json({ errors: formatted });
-        }
+// POST /api/auth/logout
+// Log out this device
+app.post('/api/auth/logout', authenticateJWT, async (req, res) => {
+    try {
+        await revokeSession(req.userId, req.sessionId, 'logout');
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
 
-        // Store progress if not a skip (i.e., isCorrect is not null)
-        if (isCorrect !== null && questionId) {
-            await Progress.create({
-                userId: req.userId,
-                questionId,
-                xp,
-                isCorrect,
-                brains,
-                userAnswer,
-                topic
-            });
+// POST /api/auth/logout-all
+// Log out every device, including this one unless { keepCurrent: true }
+app.post('/api/auth/logout-all', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        keepCurrent: z.boolean().optional().default(false)
+    }).safeParse(req.body || {});
 
-            // Update user's XP and streak if correct
-            if (isCorrect) {
-                const user = await usersModel.findById(req.userId);
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-
-                if (!user.lastProgressDate || new Date(user.lastProgressDate).setHours(0, 0, 0, 0) < today.getTime()) {
-                    user.streak = (user.streak || 0) + 1;
-                    user.dailyXP = xp;
-                } else {
-                    user.dailyXP = (user.dailyXP || 0) + xp;
-                }
-
-                user.totalXP = (user.totalXP || 0) + xp;
-                user.lastProgressDate = new Date();
-                await user.save();
-            }
-        }
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
-        // Fetch questions for the topic (lowercase for consistency)
-        const questions = await Question.find({ topic: topic.toLowerCase() });
-        console.log(`Found ${questions.length} questions for ${topic}`);  // Debug log
-        if (!questions.length) {
-            return res.status(404).json({ errors: [{ path: 'questions', message: 'No questions available for this topic' }] });
-        }
+    try {
+        const count = await revokeAllSessions(req.userId, 'logout-all', parsed.data.keepCurrent ? req.sessionId : null);
+        res.json({ message: 'Logged out', sessions: count });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
 
-        // Track completed questions for this session (simple in-memory for demo; use DB for persistence)
-        const totalQuestions = 10;
-        if (questionNumber >= totalQuestions) {
-            return res.json({
-                completed: true,
-                message: 'Congratulations!',
-                totalXp: xp || 0
-            });
-        }
+// POST /api/auth/verify-email
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', limits.tokenIp, async (req, res) => {
+    const parsed = z.object({
+        token: z.string().min(1)
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const user = await verifyEmail(parsed.data.token);
+        res.json({ message: 'Email verified', email: user.email });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// POST /api/auth/resend-verification
+app.post('/api/auth/resend-verification', limits.emailIp, authenticateJWT, async (req, res) => {
+    try {
+        const user = await usersModel.findById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        await sendVerification(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// POST /api/auth/forgot-password
+// Always answers the same, whether or not the email has an account
+app.post('/api/auth/forgot-password', limits.emailIp, limits.emailAddress, async (req, res) => {
+    const parsed = z.object({
+        email: z.string().email("Invalid email format")
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        await requestPasswordReset(parsed.data.email);
+        res.json({ message: 'If that email has an account, a reset link is on its way' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send reset email' });
+    }
+});
+
+// POST /api/auth/reset-password
+app.post('/api/auth/reset-password', limits.tokenIp, async (req, res) => {
+    const parsed = z.object({
+        token: z.string().min(1),
+        password: z.string().min(8, "Password must be at least 8 characters")
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        await resetPassword(parsed.data.token, parsed.data.password);
+        res.json({ message: 'Password reset, please sign in' });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// POST /api/auth/change-password
+// Other devices are signed out; this one stays signed in
+app.post('/api/auth/change-password', authenticateJWT, limits.password, async (req, res) => {
+    const parsed = z.object({
+        currentPassword: z.string().min(1),
+        newPassword: z.string().min(8, "Password must be at least 8 characters")
+    }).refine(data => data.currentPassword !== data.newPassword, {
+        message: "New password must be different",
+        path: ['newPassword']
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        await changePassword(req.userId, req.sessionId, parsed.data.currentPassword, parsed.data.newPassword);
+        res.json({ message: 'Password changed' });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// GET /api/auth/sessions
+// Devices currently signed in, with the caller's marked `current`
+app.get('/api/auth/sessions', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listSessions(req.userId, req.sessionId));
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
 
-        // Filter out previously answered questions (basic approach; improve with DB tracking)
-        const answeredQuestions = await Progress.find({ userId: req.userId, topic }).distinct('questionId');
-        let availableQuestions = questions.filter(q => !answeredQuestions.includes(q.id));
-        if (availableQuestions.length === 0) {
-            availableQuestions = questions; // Reset if all answered, for demo simplicity
+// DELETE /api/auth/sessions/:sessionId
+// Log out one device
+app.delete('/api/auth/sessions/:sessionId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('sessionId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        if (!await revokeSession(req.userId, parsed.data.sessionId, 'revoked')) {
+            return res.status(404).json({ errors: [{ path: 'sessionId', message: 'Session not found' }] });
         }
+        res.json({ message: 'Session logged out' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to log out session' });
+    }
+});
 
-        const randomIndex = Math.floor(Math.random() * availableQuestions.length);
-        const question = availableQuestions[randomIndex];
-        // Format response to match frontend expectations (handle string options)
-        const responseQuestion = {
-            id: question.id,
-            type: question.type,
-            prompt: question.prompt,
-            options: (question.options || []).map(opt => {
-                if (typeof opt === 'string') {
-                    return { value: opt, description: '', imageUrl: '' };
-                }
-
-                return {
-                    value: opt.value || opt,
-                    description: opt.description || '',
-                    imageUrl: opt.imageUrl || ''
-                };
-            }),
-
-            correctAnswer: question.correctAnswer,
-            feedback: question.feedback
-        };
+// Serve the current question of a quiz session, or its completion/out-of-brains state.
+// XP, brains and the question count are tracked on the server.
+async function sendSessionQuestion(res, session) {
+    const served = await serveQuestion(session);
+
+    if (served.outOfBrains) {
+        return res.json({ outOfBrains: true, session: summarizeSession(served.session) });
+    }
+
+    if (!served.question) {
+        const { session: completed, rewards, achievements, homework } = await finalizeSession(served.session);
+        return res.json({
+            rewards,
+            achievements,
+            ...(homework ? { homework } : {}),
+            completed: true,
+            message: completed.mode === 'review' && !completed.questions.length
+                ? 'Nothing is due for review right now'
+                : 'Congratulations!',
+            totalXp: completed.xp,
+            session: summarizeSession(completed)
+        });
+    }
+
+    return res.json({
+        ...formatQuestion(served.question),
+        session: summarizeSession(served.session)
+    });
+}
+
+// Submit (or skip) the answer to the current question of the user's active session for `topic`.
+// Correctness, the correct answer and feedback are only returned from here.
+async function sendAnswerResult(req, res, topic) {
+    const answerValidation = z.object({
+        questionId: z.string().min(1, "Question id is required"),
+        userAnswer: z.string().optional().nullable(),
+        skip: z.boolean().optional()
+    }).refine(data => data.skip || typeof data.userAnswer === 'string', {
+        path: ['userAnswer'],
+        message: 'Answer is required unless the question is skipped'
+    });
+
+    const parsed = answerValidation.safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    const session = await QuizSession.findOne({ userId: req.userId, topic, status: 'active' });
+    if (!session) {
+        return res.status(404).json({ errors: [{ path: 'session', message: 'No active quiz session' }] });
+    }
+
+    const answered = await answerQuestion(session, parsed.data);
+    return res.json({ ...answered.result, session: summarizeSession(answered.session) });
+}
+
+// GET /api/review/due
+// Questions due for spaced-repetition review across all topics
+app.get('/api/review/due', authenticateJWT, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    try {
+        res.json(await listDueReviews(req.userId, { limit }));
+    } catch (e) {
+        console.error('Review due error:', e);
+        res.status(500).json({ errors: [{ path: 'server', message: 'Failed to fetch due reviews' }] });
+    }
+});
+
+// Review mode: a quiz session made of due questions from every topic
+app.post('/api/review', authenticateJWT, async (req, res) => {
+    try {
+        await ensureSchedules(req.userId);
+        return await sendSessionQuestion(res, await getOrStartSession(req.userId, REVIEW_TOPIC, 'review'));
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('Review endpoint error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to fetch question' }] });
+    }
+});
+
+app.post('/api/review/answer', authenticateJWT, async (req, res) => {
+    try {
+        return await sendAnswerResult(req, res, REVIEW_TOPIC);
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('Review answer error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to grade answer' }] });
+    }
+});
+
+// Dynamic topic questions endpoint
+// Resumes (or starts) the user's quiz session for the topic and serves its current question
+app.post('/api/topic/:topic', authenticateJWT, async (req, res) => {
+    const topic = req.params.topic.toLowerCase();  // Ensure lowercase
+    if (topic === REVIEW_TOPIC) {
+        return res.status(400).json({ errors: [{ path: 'topic', message: 'Use /api/review for review sessions' }] });
+    }
+    if (topic.startsWith(HOMEWORK_TOPIC_PREFIX)) {
+        return res.status(400).json({ errors: [{ path: 'topic', message: 'Use /api/homework for homework' }] });
+    }
 
-        console.log('Sending question:', responseQuestion.id);  // Debug log
-        return res.json(responseQuestion);
+    try {
+        return await sendSessionQuestion(res, await getOrStartSession(req.userId, topic));
     } catch (e) {
+        if (sendApiError(res, e)) return;
         console.error('Questions endpoint error:', e);
         return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to fetch question' }] });
     }
 });
 
-// New: AI Chat endpoint (proxies to Flask webhook)
-app.post('/api/chat', authenticateJWT, async (req, res) => {
-    const { message } = req.body;
-    if (!message) {
-        return res.status(400).json({ errors: [{ path: 'message', message: 'Message is required' }] });
+app.post('/api/topic/:topic/answer', authenticateJWT, async (req, res) => {
+    try {
+        return await sendAnswerResult(req, res, req.params.topic.toLowerCase());
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('Answer endpoint error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to grade answer' }] });
     }
+});
+
+// Refill the brains of the active quiz session for a topic (bought with gems)
+app.post('/api/topic/:topic/refill', authenticateJWT, async (req, res) => {
     try {
-        // Proxy to Flask webhook
-        const flaskResponse = await axios.post(FLASK_URL, {
-            queryResult: {
-                queryText: message
-            }
-        });
+        const { session, user } = await purchase(req.userId, 'brains-refill', { topic: req.params.topic });
+        return res.json({ session: summarizeSession(session), gems: user.gems });
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('Refill brains error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to refill brains' }] });
+    }
+});
+
+// End the active quiz session for a topic without finishing it. Homework can't be ended:
+// it is resumed until it's handed in.
+app.post('/api/topic/:topic/end', authenticateJWT, async (req, res) => {
+    const topic = req.params.topic.toLowerCase();
+    if (topic.startsWith(HOMEWORK_TOPIC_PREFIX)) {
+        return res.status(400).json({ errors: [{ path: 'topic', message: 'Homework can\'t be ended early; finish it to hand it in' }] });
+    }
+    try {
+        const session = await QuizSession.findOne({ userId: req.userId, topic, status: 'active' });
+        if (!session) {
+            return res.status(404).json({ errors: [{ path: 'session', message: 'No active quiz session for this topic' }] });
+        }
+        const ended = await abandonSession(session);
+        return res.json({ session: summarizeSession(ended || session) });
+    } catch (e) {
+        console.error('End session error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to end session' }] });
+    }
+});
+
+// Offline study: topic packs to download, and answers given offline synced back (see
+// topicPacks.js and offlineSync.js)
+
+// GET /api/packs
+// Topics that have a pack, with their question count and latest pack version
+app.get('/api/packs', authenticateJWT, async (req, res) => {
+    try {
+        res.json({ packs: await listTopicPacks() });
+    } catch (error) {
+        console.error('List packs error:', error);
+        res.status(500).json({ error: 'Failed to fetch topic packs' });
+    }
+});
+
+// GET /api/packs/:topic
+// The topic's current pack. Its checksum is the ETag, so an unchanged pack is a 304.
+app.get('/api/packs/:topic', authenticateJWT, async (req, res) => {
+    try {
+        const pack = await exportTopicPack(req.params.topic.toLowerCase());
+        await recordPackDownload(req.userId, pack.topic, pack.version);
+        res.set('ETag', `"${pack.checksum}"`);
+        res.set('Cache-Control', 'private, no-cache');
+        if (req.fresh) return res.status(304).end();
+        res.json(pack);
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Export pack error:', error);
+        res.status(500).json({ error: 'Failed to export topic pack' });
+    }
+});
+
+// POST /api/sync/answers
+// { answers: [{ key, questionId, packVersion, userAnswer, answeredAt }] } recorded offline from
+// a downloaded pack; each key is only ever credited once, so the same batch can safely be sent again
+app.post('/api/sync/answers', authenticateJWT, limits.sync, async (req, res) => {
+    const parsed = z.object({
+        answers: z.array(z.object({
+            key: z.string().trim().min(8, "Key is too short").max(100),
+            questionId: z.string().trim().min(1, "Question id is required"),
+            packVersion: z.coerce.number().int().min(1, "Pack version is required"),
+            userAnswer: z.string().max(1000),
+            answeredAt: z.coerce.date({ error: "Invalid answer date" })
+        })).min(1, "Nothing to sync").max(MAX_SYNC_ANSWERS, `Sync at most ${MAX_SYNC_ANSWERS} answers at a time`)
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await syncOfflineAnswers(req.userId, parsed.data.answers));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Sync answers error:', error);
+        res.status(500).json({ error: 'Failed to sync answers' });
+    }
+});
+
+// Homework set by teachers, done through the quiz flow (see homework.js)
+
+// GET /api/homework
+// The caller's homework: pending, overdue and submitted
+app.get('/api/homework', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listStudentHomework(req.userId));
+    } catch (error) {
+        console.error('List homework error:', error);
+        res.status(500).json({ error: 'Failed to fetch homework' });
+    }
+});
+
+// POST /api/homework/:homeworkId
+// Resumes (or starts) the homework's quiz session and serves its current question
+app.post('/api/homework/:homeworkId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('homeworkId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        return await sendSessionQuestion(res, await startHomework(req.userId, parsed.data.homeworkId));
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('Homework endpoint error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to fetch question' }] });
+    }
+});
+
+app.post('/api/homework/:homeworkId/answer', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('homeworkId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        return await sendAnswerResult(req, res, homeworkTopic(parsed.data.homeworkId));
+    } catch (e) {
+        if (sendApiError(res, e)) return;
+        console.error('Homework answer error:', e);
+        return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to grade answer' }] });
+    }
+});
+
+// AI Chat endpoint (answered by the tutor provider, see tutor.js)
+// Starts a conversation, or continues { conversationId }. Limited to a burst rate and a daily quota per user.
+// The same chat streams over the WebSocket at /api/chat/stream (see chatSocket.js).
+app.post('/api/chat', authenticateJWT, limits.chat, async (req, res) => {
+    const parsed = chatMessageSchema.safeParse(req.body || {});
 
-        const aiResponse = flaskResponse.data.fulfillmentText || 'No response from AI.';
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
-        return res.json({ response: aiResponse });
+    try {
+        const { conversationId, response, quota } = await sendChatMessage(req.userId, parsed.data);
+        return res.json({ conversationId, response, quota: { limit: quota.limit, remaining: quota.remaining } });
     } catch (e) {
-        console.error('Chat proxy error:', e.message);
+        if (sendApiError(res, e)) return;
+        console.error('Chat error:', e.message);
         return res.status(500).json({ errors: [{ path: 'server', message: 'Failed to get AI response' }] });
     }
 });
 
+// GET /api/chat/conversations
+// The caller's conversations with the tutor, most recent first, without their messages
+app.get('/api/chat/conversations', authenticateJWT, async (req, res) => {
+    try {
+        res.json({ conversations: await listConversations(req.userId) });
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+// GET /api/chat/conversations/:conversationId
+// One conversation with its messages, to resume it
+app.get('/api/chat/conversations/:conversationId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('conversationId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json({ conversation: await getConversation(req.userId, parsed.data.conversationId) });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get conversation error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+});
+
+// DELETE /api/chat/conversations/:conversationId
+app.delete('/api/chat/conversations/:conversationId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('conversationId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        await deleteConversation(req.userId, parsed.data.conversationId);
+        res.json({ message: 'Conversation deleted' });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Delete conversation error:', error);
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
 // Dashboard endpoints
 
 // GET /api/user
@@ -321,9 +760,11 @@ app.get('/api/user', authenticateJWT, async (req, res) => {
     try {
         const user = await usersModel.findById(req.userId).select('-password');
         if (!user) return res.status(404).json({ error: 'User not found' });
+        await rolloverUser(user);
         res.json({
             name: user.fullname,
             email: user.email,
+            emailVerified: user.emailVerified,
             phone: user.phone,
             state: user.state,
             username: user.username,
@@ -340,7 +781,16 @@ app.get('/api/user', authenticateJWT, async (req, res) => {
             xpGoal: user.xpGoal,
             avatar: user.avatar,
             role: user.role,
-            rating: user.rating
+            rating: user.rating,
+            ratingCount: user.ratingCount,
+            timezone: user.timezone,
+            longestStreak: user.longestStreak,
+            streakFreezes: user.streakFreezes,
+            avatarFrame: user.avatarFrame,
+            ownedFrames: user.ownedFrames,
+            subjects: user.subjects,
+            bio: user.bio,
+            verified: !!user.verified
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -348,6 +798,17 @@ app.get('/api/user', authenticateJWT, async (req, res) => {
     }
 });
 
+// GET /api/user/achievements
+// All badges, with the ones earned and progress towards the rest
+app.get('/api/user/achievements', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listAchievements(req.userId));
+    } catch (error) {
+        console.error('Get achievements error:', error);
+        res.status(500).json({ error: 'Failed to fetch achievements' });
+    }
+});
+
 // PUT /api/user
 app.put('/api/user', authenticateJWT, async (req, res) => {
     const validationSchema = z.object({
@@ -361,19 +822,14 @@ app.put('/api/user', authenticateJWT, async (req, res) => {
         school12: z.string().optional().or(z.literal('')),
         stream12: z.string().optional().or(z.literal('')),
         marks12: z.number().min(0).max(100).optional().or(z.literal('')),
-        role: z.enum(['Student', 'Teacher']).optional(),
-        rating: z.number().min(0).max(5).optional()
+        timezone: z.string().refine(isValidTimezone, "Unknown timezone").optional(),
+        subjects: z.array(z.string().trim().min(2).max(50)).max(10).optional(),
+        bio: z.string().max(500).optional()
     });
 
     const parsed = validationSchema.safeParse(req.body);
 
-    if (!parsed.success) {
-        const formatted = parsed.error.issues.map(e => ({
-            path: e.path.join("."),
-            message: e.message
-        }));
-        return res.status(400).json({ errors: formatted });
-    }
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
     try {
         const updateData = {
@@ -387,19 +843,30 @@ app.put('/api/user', authenticateJWT, async (req, res) => {
             school12: parsed.data.school12,
             stream12: parsed.data.stream12,
             marks12: parsed.data.marks12,
-            role: parsed.data.role,
-            rating: parsed.data.rating
+            timezone: parsed.data.timezone,
+            subjects: parsed.data.subjects,
+            bio: parsed.data.bio
         };
 
         // Remove undefined fields to avoid overwriting with undefined
         Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
 
+        // A new email address has to be verified again
+        const current = await usersModel.findById(req.userId).select('email');
+        if (!current) return res.status(404).json({ error: 'User not found' });
+        const emailChanged = updateData.email !== undefined && updateData.email !== current.email;
+        if (emailChanged) updateData.emailVerified = false;
+
         const updatedUser = await usersModel.findByIdAndUpdate(req.userId, updateData, { new: true }).select('-password');
         if (!updatedUser) return res.status(404).json({ error: 'User not found' });
+        if (emailChanged) {
+            await sendVerification(updatedUser).catch(err => console.error('Verification email failed:', err));
+        }
 
         res.json({
             name: updatedUser.fullname,
             email: updatedUser.email,
+            emailVerified: updatedUser.emailVerified,
             phone: updatedUser.phone,
             state: updatedUser.state,
             username: updatedUser.username,
@@ -416,7 +883,15 @@ app.put('/api/user', authenticateJWT, async (req, res) => {
             xpGoal: updatedUser.xpGoal,
             avatar: updatedUser.avatar,
             role: updatedUser.role,
-            rating: updatedUser.rating
+            rating: updatedUser.rating,
+            ratingCount: updatedUser.ratingCount,
+            timezone: updatedUser.timezone,
+            longestStreak: updatedUser.longestStreak,
+            streakFreezes: updatedUser.streakFreezes,
+            avatarFrame: updatedUser.avatarFrame,
+            ownedFrames: updatedUser.ownedFrames,
+            subjects: updatedUser.subjects,
+            bio: updatedUser.bio
         });
     } catch (error) {
         console.error('Update user error:', error);
@@ -433,147 +908,1123 @@ app.put('/api/user', authenticateJWT, async (req, res) => {
     }
 });
 
-// POST /api/user/avatar
-app.post('/api/user/avatar', authenticateJWT, upload.single('avatar'), async (req, res) => {
+// POST /api/user/avatar (multipart/form-data with an `avatar` image, up to 2 MB)
+app.post('/api/user/avatar', authenticateJWT, handleUpload(avatarUpload), async (req, res) => {
+    if (!req.file) return res.status(400).json({ errors: [{ path: 'avatar', message: 'No file uploaded' }] });
     try {
-        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-        const avatarBase64 = `data:image/${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-        const user = await usersModel.findById(req.userId);
-        user.avatar = avatarBase64;
-        await user.save();
-        res.json({ avatarUrl: avatarBase64 });
+        res.json(await setAvatar(req.userId, req.file.buffer));
     } catch (error) {
+        if (sendApiError(res, error)) return;
         console.error('Avatar upload error:', error);
         res.status(500).json({ error: 'Failed to upload avatar' });
     }
 });
 
-// GET /api/teacher/students
-app.get('/api/teacher/students', authenticateJWT, async (req, res) => {
+// GET /media/:mediaId/:variant
+// Uploaded images. A media id's content never changes, so browsers and CDNs keep them for good.
+app.get('/media/:mediaId/:variant', async (req, res) => {
+    const parsed = objectIdParam('mediaId').extend({
+        variant: z.enum(Object.keys(AVATAR_VARIANTS))
+    }).safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
     try {
-        const user = await usersModel.findById(req.userId);
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        if (user.role !== 'Teacher') return res.status(403).json({ error: 'Access denied: User is not a teacher' });
+        const { body, contentType, etag } = await readMedia(parsed.data.mediaId, parsed.data.variant);
+        res.set('Content-Type', contentType);
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.set('ETag', etag);
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (req.fresh) return res.status(304).end();
+        res.send(body);
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get media error:', error);
+        res.status(500).json({ error: 'Failed to fetch image' });
+    }
+});
 
-        const assignments = await StudentAssignment.find({ teacherId: req.userId }).populate('studentId', 'fullname avatar');
-        const students = assignments.map(assignment => ({
-            name: assignment.studentId.fullname,
-            avatar: assignment.studentId.avatar || 'https://via.placeholder.com/50',
-            subject: assignment.subject
-        }));
+// GET /api/teacher/* bodies say whether the teacher is verified (requirePermission has loaded
+// req.userVerified); lists are wrapped as { verified, students|homework|reviews }
+
+// GET /api/teacher/profile
+// The caller's verified badge and their verification requests
+app.get('/api/teacher/profile', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    try {
+        res.json(await verificationStatusOf(req.userId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get teacher profile error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
 
-        res.json(students);
+// GET /api/teacher/students
+app.get('/api/teacher/students', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    try {
+        res.json({ verified: !!req.userVerified, students: await listStudentsOf(req.userId) });
     } catch (error) {
         console.error('Get teacher students error:', error);
         res.status(500).json({ error: 'Failed to fetch students' });
     }
 });
 
-// GET /api/teacher/reviews
-app.get('/api/teacher/reviews', authenticateJWT, async (req, res) => {
-    try {
-        const user = await usersModel.findById(req.userId);
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        if (user.role !== 'Teacher') return res.status(403).json({ error: 'Access denied: User is not a teacher' });
+// Reports are JSON, or one section of them as CSV with ?format=csv&section=
+const reportQuery = (kind) => z.object({
+    days: z.coerce.number().int().min(1).max(365).optional().default(30),
+    format: z.enum(['json', 'csv']).optional().default('json'),
+    section: z.enum(Object.keys(CSV_SECTIONS[kind])).optional().default(Object.keys(CSV_SECTIONS[kind])[0])
+});
 
-        const reviews = await Review.find({ teacherId: req.userId }).populate('studentId', 'fullname');
-        const formattedReviews = reviews.map(review => ({
-            studentName: review.studentId.fullname,
-            rating: review.rating,
-            comment: review.comment
-        }));
+// GET /api/teacher/report?days=&format=&section=students|hardestQuestions
+// Totals for each assigned student, and the questions the class gets wrong most
+app.get('/api/teacher/report', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    const parsed = reportQuery('class').safeParse(req.query);
 
-        // Update teacher's average rating
-        if (reviews.length > 0) {
-            const averageRating = reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length;
-            await usersModel.findByIdAndUpdate(req.userId, { rating: parseFloat(averageRating.toFixed(1)) });
-        } else {
-            await usersModel.findByIdAndUpdate(req.userId, { rating: 0.0 });
-        }
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
-        res.json(formattedReviews);
+    try {
+        const { days, format, section } = parsed.data;
+        const report = await classReport(req.userId, { days });
+        if (format === 'csv') {
+            res.attachment(`class-${section}-${days}d.csv`);
+            return res.type('text/csv').send(reportCsv(report, 'class', section));
+        }
+        res.json({ verified: !!req.userVerified, ...report });
     } catch (error) {
-        console.error('Get teacher reviews error:', error);
-        res.status(500).json({ error: 'Failed to fetch reviews' });
+        console.error('Class report error:', error);
+        res.status(500).json({ error: 'Failed to build report' });
     }
 });
 
-// GET /api/progress
-app.get('/api/progress', authenticateJWT, async (req, res) => {
+// GET /api/teacher/students/:studentId/report?days=&format=&section=topics|missed|days|streaks
+// Accuracy per topic, most-missed questions, time on task, XP by day and streaks of one assigned student
+app.get('/api/teacher/students/:studentId/report', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    const params = objectIdParam('studentId').safeParse(req.params);
+    const parsed = reportQuery('student').safeParse(req.query);
+
+    if (!params.success || !parsed.success) return sendZodError(res, params.error, parsed.error);
+
     try {
-        const progress = await Progress.find({ userId: req.userId }).sort({ timestamp: -1 });
-        const totalXP = progress.reduce((sum, p) => sum + (p.xp || 0), 0);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const dailyXP = progress.filter(p => new Date(p.timestamp) >= today).reduce((sum, p) => sum + (p.xp || 0), 0);
-
-        // Activity: last 7 days XP
-        const activity = [];
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 6);
-        sevenDaysAgo.setHours(0, 0, 0, 0);
-        for (let i = 0; i < 7; i++) {
-            const day = new Date(sevenDaysAgo);
-            day.setDate(day.getDate() + i);
-            const nextDay = new Date(day);
-            nextDay.setDate(nextDay.getDate() + 1);
-            const dayXP = progress.filter(p => new Date(p.timestamp) >= day && new Date(p.timestamp) < nextDay).reduce((sum, p) => sum + (p.xp || 0), 0);
-            activity.push(dayXP);
+        const { days, format, section } = parsed.data;
+        const report = await studentReport(req.userId, params.data.studentId, { days });
+        if (format === 'csv') {
+            res.attachment(`student-${params.data.studentId}-${section}-${days}d.csv`);
+            return res.type('text/csv').send(reportCsv(report, 'student', section));
         }
+        res.json({ verified: !!req.userVerified, ...report });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Student report error:', error);
+        res.status(500).json({ error: 'Failed to build report' });
+    }
+});
 
-        // Recent: last 2 progress with question prompt
-        const recentProgress = progress.slice(0, 2);
-        const recent = [];
-        for (let p of recentProgress) {
-            const q = await Question.findOne({ id: p.questionId });
-            recent.push({ title: q ? q.prompt : 'Lesson', xp: p.xp || 0 });
-        }
+// POST /api/teacher/homework
+// Set homework: { title, instructions?, dueAt, questionIds } or { title, topic, count, dueAt },
+// for `studentIds` or, without them, every current student
+app.post('/api/teacher/homework', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    const parsed = z.object({
+        title: z.string().trim().min(1, "Title is required").max(100),
+        instructions: z.string().trim().max(1000).optional(),
+        questionIds: z.array(z.string().trim().min(1)).min(1).max(50).optional(),
+        topic: z.string().trim().toLowerCase().min(1).optional(),
+        count: z.number().int().min(1).max(50).optional(),
+        dueAt: z.coerce.date({ error: "Invalid due date" }),
+        studentIds: z.array(objectId("Invalid student id")).min(1).optional()
+    }).refine(data => !!data.questionIds !== !!data.topic, {
+        path: ['questionIds'],
+        message: 'Give either questionIds or a topic'
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
-        res.json({ dailyXP, totalXP, activity, recent });
+    try {
+        res.status(201).json(await createHomework(req.userId, parsed.data));
     } catch (error) {
-        console.error('Get progress error:', error);
-        res.status(500).json({ error: 'Failed to fetch progress' });
+        if (sendApiError(res, error)) return;
+        console.error('Create homework error:', error);
+        res.status(500).json({ error: 'Failed to set homework' });
     }
 });
 
-// POST /api/progress/complete
-app.post('/api/progress/complete', authenticateJWT, async (req, res) => {
-    const xpIncrement = req.body.xpIncrement || 10;
+// GET /api/teacher/homework
+// Homework the caller set, with how many students handed it in
+app.get('/api/teacher/homework', authenticateJWT, requirePermission('students:view'), async (req, res) => {
     try {
-        const user = await usersModel.findById(req.userId);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        if (!user.lastProgressDate || new Date(user.lastProgressDate).setHours(0, 0, 0, 0) < today.getTime()) {
-            user.streak = (user.streak || 0) + 1;
-            user.dailyXP = xpIncrement;
-        } else {
-            user.dailyXP = (user.dailyXP || 0) + xpIncrement;
-        }
+        res.json({ verified: !!req.userVerified, homework: await listHomeworkOf(req.userId) });
+    } catch (error) {
+        console.error('List teacher homework error:', error);
+        res.status(500).json({ error: 'Failed to fetch homework' });
+    }
+});
 
-        user.totalXP = (user.totalXP || 0) + xpIncrement;
-        user.lastProgressDate = new Date();
-        await user.save();
-
-        // Create a manual progress entry
-        await Progress.create({
-            userId: req.userId,
-            questionId: 'manual-lesson',
-            xp: xpIncrement,
-            isCorrect: true,
-            brains: 0,
-            userAnswer: 'completed',
-            topic: 'general'
-        });
+// GET /api/teacher/homework/:homeworkId
+// Every student's submission: status, score and whether it was late
+app.get('/api/teacher/homework/:homeworkId', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    const parsed = objectIdParam('homeworkId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
 
-        res.json({ message: 'Progress updated' });
+    try {
+        res.json({ verified: !!req.userVerified, ...await getHomework(req.userId, parsed.data.homeworkId) });
     } catch (error) {
-        console.error('Complete progress error:', error);
-        res.status(500).json({ error: 'Failed to complete progress' });
+        if (sendApiError(res, error)) return;
+        console.error('Get homework error:', error);
+        res.status(500).json({ error: 'Failed to fetch homework' });
     }
 });
 
-// GET /api/courses
+// GET /api/teacher/reviews
+app.get('/api/teacher/reviews', authenticateJWT, requirePermission('students:view'), async (req, res) => {
+    try {
+        // The rating itself is kept up to date when reviews are written (see reviews.js)
+        // Teaching reviews only; contract reviews are from marketplace clients, not students
+        const reviews = await Review.find({ teacherId: req.userId, contractId: null }).sort({ createdAt: -1 }).populate('studentId', 'fullname');
+        res.json({ verified: !!req.userVerified, reviews: reviews.map(formatReview) });
+    } catch (error) {
+        console.error('Get teacher reviews error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// Finding a teacher: search, requests, and the resulting assignments
+
+// GET /api/teachers?subject=&minRating=&state=&page=
+app.get('/api/teachers', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        subject: z.string().trim().min(1).optional(),
+        minRating: z.coerce.number().min(0).max(5).optional(),
+        state: z.string().trim().min(1).optional(),
+        page: z.coerce.number().int().min(1).optional().default(1),
+        limit: z.coerce.number().int().min(1).max(50).optional().default(20)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await searchTeachers(parsed.data));
+    } catch (error) {
+        console.error('Search teachers error:', error);
+        res.status(500).json({ error: 'Failed to search teachers' });
+    }
+});
+
+// POST /api/teacher-requests
+// A student asks a teacher to teach them a subject
+app.post('/api/teacher-requests', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        teacherId: objectId("Invalid teacher id"),
+        subject: z.string().trim().min(2).max(50),
+        message: z.string().trim().max(500).optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.status(201).json(await requestTeacher(req.userId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Request teacher error:', error);
+        res.status(500).json({ error: 'Failed to send request' });
+    }
+});
+
+// GET /api/teacher-requests?status=
+// Requests received as a teacher (incoming) and sent as a student (outgoing)
+app.get('/api/teacher-requests', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        status: z.enum(['pending', 'accepted', 'declined', 'cancelled']).optional()
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listRequests(req.userId, parsed.data));
+    } catch (error) {
+        console.error('List teacher requests error:', error);
+        res.status(500).json({ error: 'Failed to fetch requests' });
+    }
+});
+
+// POST /api/teacher-requests/:requestId/(accept|decline|cancel)
+// The teacher accepts or declines; the student can cancel while it is pending
+app.post('/api/teacher-requests/:requestId/:action', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('requestId').extend({
+        action: z.enum(['accept', 'decline', 'cancel'])
+    }).safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const { requestId, action } = parsed.data;
+        if (action === 'cancel') return res.json({ request: await cancelRequest(req.userId, requestId) });
+        res.json(await respondToRequest(req.userId, requestId, action === 'accept'));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Teacher request action error:', error);
+        res.status(500).json({ error: 'Failed to update request' });
+    }
+});
+
+// GET /api/student/teachers
+// The teachers currently teaching the caller
+app.get('/api/student/teachers', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listTeachersOf(req.userId));
+    } catch (error) {
+        console.error('Get student teachers error:', error);
+        res.status(500).json({ error: 'Failed to fetch teachers' });
+    }
+});
+
+// POST /api/student-assignments/:assignmentId/end
+// Either the teacher or the student stops the assignment
+app.post('/api/student-assignments/:assignmentId/end', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('assignmentId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await endAssignment(req.userId, parsed.data.assignmentId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('End assignment error:', error);
+        res.status(500).json({ error: 'Failed to end assignment' });
+    }
+});
+
+// Reviews: students rate teachers who have taught them
+
+const reviewBody = {
+    rating: z.number().int().min(1).max(5),
+    comment: z.string().trim().max(1000)
+};
+
+// GET /api/teachers/:teacherId/reviews
+// Rating summary with the star histogram, and the reviews themselves
+app.get('/api/teachers/:teacherId/reviews', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('teacherId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listTeacherReviews(parsed.data.teacherId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get teacher reviews error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// GET /api/reviews/mine
+app.get('/api/reviews/mine', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listReviewsBy(req.userId));
+    } catch (error) {
+        console.error('Get my reviews error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// POST /api/reviews
+app.post('/api/reviews', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        teacherId: objectId("Invalid teacher id"),
+        rating: reviewBody.rating,
+        comment: reviewBody.comment.optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.status(201).json(await createReview(req.userId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Create review error:', error);
+        res.status(500).json({ error: 'Failed to save review' });
+    }
+});
+
+// PUT /api/reviews/:reviewId
+app.put('/api/reviews/:reviewId', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        rating: reviewBody.rating.optional(),
+        comment: reviewBody.comment.optional()
+    }).refine(data => data.rating !== undefined || data.comment !== undefined, "Nothing to update")
+        .safeParse(req.body || {});
+    const params = objectIdParam('reviewId').safeParse(req.params);
+
+    if (!parsed.success || !params.success) return sendZodError(res, params.error, parsed.error);
+
+    try {
+        res.json(await updateReview(req.userId, params.data.reviewId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Update review error:', error);
+        res.status(500).json({ error: 'Failed to update review' });
+    }
+});
+
+// DELETE /api/reviews/:reviewId
+app.delete('/api/reviews/:reviewId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('reviewId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await deleteReview(req.userId, parsed.data.reviewId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Delete review error:', error);
+        res.status(500).json({ error: 'Failed to delete review' });
+    }
+});
+
+// College counselling: colleges and scholarships matched to the student's academic
+// profile, and their upcoming deadlines (see counselling.js)
+
+// GET /api/counselling/recommendations?limit=&maxFees=
+app.get('/api/counselling/recommendations', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        limit: z.coerce.number().int().min(1).max(50).optional().default(20),
+        maxFees: z.coerce.number().min(0).optional()
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await recommendFor(req.userId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Counselling recommendations error:', error);
+        res.status(500).json({ error: 'Failed to fetch recommendations' });
+    }
+});
+
+// GET /api/counselling/timeline?days=
+app.get('/api/counselling/timeline', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        days: z.coerce.number().int().min(1).max(730).optional().default(365)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await admissionTimeline(req.userId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Counselling timeline error:', error);
+        res.status(500).json({ error: 'Failed to fetch admission timeline' });
+    }
+});
+
+// GET /api/counselling/colleges?q=&stream=&state=&page=
+app.get('/api/counselling/colleges', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        q: z.string().trim().max(100).optional(),
+        stream: z.enum(STREAMS).optional(),
+        state: z.string().trim().min(3).optional(),
+        page: z.coerce.number().int().min(1).optional().default(1)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listEntries('colleges', parsed.data));
+    } catch (error) {
+        console.error('List colleges error:', error);
+        res.status(500).json({ error: 'Failed to fetch colleges' });
+    }
+});
+
+// GET /api/counselling/scholarships?q=&stream=&state=&page=
+app.get('/api/counselling/scholarships', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        q: z.string().trim().max(100).optional(),
+        stream: z.enum(STREAMS).optional(),
+        state: z.string().trim().min(3).optional(),
+        page: z.coerce.number().int().min(1).optional().default(1)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listEntries('scholarships', parsed.data));
+    } catch (error) {
+        console.error('List scholarships error:', error);
+        res.status(500).json({ error: 'Failed to fetch scholarships' });
+    }
+});
+
+// Freelance marketplace: freelancer profiles, jobs, proposals and contracts (see marketplace.js)
+
+const skillList = z.array(z.string().trim().min(1).max(40)).max(20);
+const pageQuery = {
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(50).optional().default(20)
+};
+
+// GET /api/marketplace/categories
+app.get('/api/marketplace/categories', authenticateJWT, (req, res) => {
+    res.json(Object.entries(CATEGORIES).map(([id, name]) => ({ id, name })));
+});
+
+// GET /api/freelancers?skill=&category=&q=&minRating=&maxRate=&available=&page=&limit=
+app.get('/api/freelancers', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        skill: z.string().trim().min(1).optional(),
+        category: z.enum(CATEGORY_IDS).optional(),
+        q: z.string().trim().min(1).max(100).optional(),
+        minRating: z.coerce.number().min(0).max(5).optional(),
+        maxRate: z.coerce.number().min(0).optional(),
+        available: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+        ...pageQuery
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await searchFreelancers(parsed.data));
+    } catch (error) {
+        console.error('Search freelancers error:', error);
+        res.status(500).json({ error: 'Failed to search freelancers' });
+    }
+});
+
+// PUT /api/freelancers/me
+// Create or update the caller's freelancer profile
+app.put('/api/freelancers/me', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        headline: z.string().trim().min(2, "Headline is required").max(100),
+        bio: z.string().trim().max(2000).optional(),
+        skills: skillList.min(1, "Add at least one skill"),
+        categories: z.array(z.enum(CATEGORY_IDS)).max(CATEGORY_IDS.length).optional(),
+        hourlyRate: z.number().min(0).max(1000000),
+        location: z.string().trim().max(100).optional(),
+        available: z.boolean().optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await saveFreelancerProfile(req.userId, parsed.data));
+    } catch (error) {
+        console.error('Save freelancer profile error:', error);
+        res.status(500).json({ error: 'Failed to save profile' });
+    }
+});
+
+// GET /api/freelancers/:userId
+// A freelancer's profile, rating and latest contract reviews
+app.get('/api/freelancers/:userId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('userId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await getFreelancer(parsed.data.userId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get freelancer error:', error);
+        res.status(500).json({ error: 'Failed to fetch freelancer' });
+    }
+});
+
+// GET /api/jobs?skill=&category=&q=&minBudget=&maxBudget=&page=&limit=
+// Open jobs, newest first
+app.get('/api/jobs', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        skill: z.string().trim().min(1).optional(),
+        category: z.enum(CATEGORY_IDS).optional(),
+        q: z.string().trim().min(1).max(100).optional(),
+        minBudget: z.coerce.number().min(0).optional(),
+        maxBudget: z.coerce.number().min(0).optional(),
+        ...pageQuery
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await searchJobs(parsed.data));
+    } catch (error) {
+        console.error('Search jobs error:', error);
+        res.status(500).json({ error: 'Failed to search jobs' });
+    }
+});
+
+// POST /api/jobs
+app.post('/api/jobs', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        title: z.string().trim().min(5, "Title is too short").max(120),
+        description: z.string().trim().max(5000).optional(),
+        category: z.enum(CATEGORY_IDS, { error: "Unknown category" }),
+        skills: skillList.optional(),
+        budget: z.number().min(0).max(100000000),
+        deadline: z.coerce.date({ error: "Invalid deadline" }).refine(d => d > new Date(), "The deadline must be in the future").optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.status(201).json(await postJob(req.userId, parsed.data));
+    } catch (error) {
+        console.error('Post job error:', error);
+        res.status(500).json({ error: 'Failed to post job' });
+    }
+});
+
+// GET /api/jobs/mine
+// Jobs the caller posted, in any status
+app.get('/api/jobs/mine', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listJobsOf(req.userId));
+    } catch (error) {
+        console.error('List my jobs error:', error);
+        res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+});
+
+// GET /api/jobs/:jobId
+app.get('/api/jobs/:jobId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('jobId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await getJob(parsed.data.jobId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get job error:', error);
+        res.status(500).json({ error: 'Failed to fetch job' });
+    }
+});
+
+// POST /api/jobs/:jobId/cancel
+// The client takes down a job nobody was hired for; pending proposals are declined
+app.post('/api/jobs/:jobId/cancel', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('jobId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await cancelJob(req.userId, parsed.data.jobId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Cancel job error:', error);
+        res.status(500).json({ error: 'Failed to cancel job' });
+    }
+});
+
+// POST /api/jobs/:jobId/proposals
+// A freelancer bids on the job: { coverLetter?, amount, estimatedDays? }
+app.post('/api/jobs/:jobId/proposals', authenticateJWT, async (req, res) => {
+    const params = objectIdParam('jobId').safeParse(req.params);
+    const parsed = z.object({
+        coverLetter: z.string().trim().max(3000).optional(),
+        amount: z.number().min(0).max(100000000),
+        estimatedDays: z.number().int().min(1).max(365).optional()
+    }).safeParse(req.body || {});
+
+    if (!params.success || !parsed.success) return sendZodError(res, params.error, parsed.error);
+
+    try {
+        res.status(201).json(await sendProposal(req.userId, params.data.jobId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Send proposal error:', error);
+        res.status(500).json({ error: 'Failed to send proposal' });
+    }
+});
+
+// GET /api/jobs/:jobId/proposals
+// Proposals for one of the caller's jobs
+app.get('/api/jobs/:jobId/proposals', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('jobId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listProposalsFor(req.userId, parsed.data.jobId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('List proposals error:', error);
+        res.status(500).json({ error: 'Failed to fetch proposals' });
+    }
+});
+
+// GET /api/proposals/mine
+// Proposals the caller sent as a freelancer
+app.get('/api/proposals/mine', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listProposalsBy(req.userId));
+    } catch (error) {
+        console.error('List my proposals error:', error);
+        res.status(500).json({ error: 'Failed to fetch proposals' });
+    }
+});
+
+// POST /api/proposals/:proposalId/(accept|withdraw)
+// The job's client accepts (hiring the freelancer under a contract); the freelancer can withdraw
+app.post('/api/proposals/:proposalId/:action', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('proposalId').extend({
+        action: z.enum(['accept', 'withdraw'])
+    }).safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const { proposalId, action } = parsed.data;
+        if (action === 'withdraw') return res.json(await withdrawProposal(req.userId, proposalId));
+        res.status(201).json(await acceptProposal(req.userId, proposalId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Proposal action error:', error);
+        res.status(500).json({ error: 'Failed to update proposal' });
+    }
+});
+
+// GET /api/contracts?role=client|freelancer&status=
+app.get('/api/contracts', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        role: z.enum(['client', 'freelancer']).optional(),
+        status: z.enum(['active', 'completed', 'cancelled']).optional()
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listContractsOf(req.userId, parsed.data));
+    } catch (error) {
+        console.error('List contracts error:', error);
+        res.status(500).json({ error: 'Failed to fetch contracts' });
+    }
+});
+
+// POST /api/contracts/:contractId/(complete|cancel)
+// The client marks the work done; either side can cancel an active contract
+app.post('/api/contracts/:contractId/:action', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('contractId').extend({
+        action: z.enum(['complete', 'cancel'])
+    }).safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const { contractId, action } = parsed.data;
+        res.json(await endContract(req.userId, contractId, action === 'complete' ? 'completed' : 'cancelled'));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Contract action error:', error);
+        res.status(500).json({ error: 'Failed to update contract' });
+    }
+});
+
+// POST /api/contracts/:contractId/review
+// The client rates the freelancer of a completed contract; counts towards their rating
+app.post('/api/contracts/:contractId/review', authenticateJWT, async (req, res) => {
+    const params = objectIdParam('contractId').safeParse(req.params);
+    const parsed = z.object({
+        rating: reviewBody.rating,
+        comment: reviewBody.comment.optional()
+    }).safeParse(req.body || {});
+
+    if (!params.success || !parsed.success) return sendZodError(res, params.error, parsed.error);
+
+    try {
+        res.status(201).json(await createContractReview(req.userId, params.data.contractId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Contract review error:', error);
+        res.status(500).json({ error: 'Failed to save review' });
+    }
+});
+
+// Becoming a teacher: students apply, admins approve (see the admin routes below)
+
+// POST /api/teacher-applications
+app.post('/api/teacher-applications', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        subjects: z.array(z.string().trim().min(2).max(50)).min(1).max(10),
+        bio: z.string().trim().max(500).optional(),
+        qualifications: z.string().trim().max(2000).optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.status(201).json(await applyToTeach(req.userId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Teacher application error:', error);
+        res.status(500).json({ error: 'Failed to submit application' });
+    }
+});
+
+// GET /api/teacher-applications/mine
+app.get('/api/teacher-applications/mine', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listApplicationsOf(req.userId));
+    } catch (error) {
+        console.error('Get teacher applications error:', error);
+        res.status(500).json({ error: 'Failed to fetch applications' });
+    }
+});
+
+// Teacher verification: identity documents checked by an admin for the verified badge
+// (see verification.js and the admin routes below)
+
+// POST /api/verification
+// multipart/form-data with files `aadhaar`, `pan` and up to 3 `other`, and an optional `note`
+app.post('/api/verification', authenticateJWT, requireRole('Teacher'), handleUpload(documentUpload), async (req, res) => {
+    const parsed = z.object({
+        note: z.string().trim().max(1000).optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    const files = Object.entries(req.files || {}).flatMap(([kind, list]) => list.map(file => ({
+        kind,
+        buffer: file.buffer,
+        originalName: file.originalname
+    })));
+
+    try {
+        res.status(201).json(await submitVerification(req.userId, files, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Submit verification error:', error);
+        res.status(500).json({ error: 'Failed to submit documents' });
+    }
+});
+
+// GET /api/verification
+// The caller's verified badge and verification requests with their history
+app.get('/api/verification', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await verificationStatusOf(req.userId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get verification error:', error);
+        res.status(500).json({ error: 'Failed to fetch verification' });
+    }
+});
+
+// GET /api/verification/:requestId/documents/:documentId
+// An uploaded document, for the teacher who sent it or an admin
+app.get('/api/verification/:requestId/documents/:documentId', authenticateJWT, async (req, res) => {
+    const parsed = objectIdParam('requestId').extend(objectIdParam('documentId').shape).safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const user = await usersModel.findById(req.userId).select('role');
+        const isAdmin = !!user && user.role === 'Admin';
+        const { body, contentType, filename } = await readDocument(req.userId, isAdmin, parsed.data.requestId, parsed.data.documentId);
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('Cache-Control', 'private, no-store');
+        res.send(body);
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Get verification document error:', error);
+        res.status(500).json({ error: 'Failed to fetch document' });
+    }
+});
+
+// Question bank authoring (teachers and admins)
+
+const canManageQuestions = requirePermission('questions:manage');
+
+// GET /api/questions?topic=&status=&type=
+app.get('/api/questions', authenticateJWT, canManageQuestions, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.topic) filter.topic = String(req.query.topic).toLowerCase();
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.type) filter.type = String(req.query.type);
+        const questions = await Question.find(filter).sort({ topic: 1, updatedAt: -1 });
+        res.json(questions.map(formatAuthoredQuestion));
+    } catch (error) {
+        console.error('List questions error:', error);
+        res.status(500).json({ error: 'Failed to fetch questions' });
+    }
+});
+
+// GET /api/questions/export?format=json|csv&topic=&status=
+app.get('/api/questions/export', authenticateJWT, canManageQuestions, async (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    try {
+        const filter = {};
+        if (req.query.topic) filter.topic = String(req.query.topic).toLowerCase();
+        if (req.query.status) filter.status = String(req.query.status);
+        const exported = await exportQuestions(filter, format);
+
+        res.attachment(`questions.${format}`);
+        if (format === 'csv') return res.type('text/csv').send(exported);
+        res.json(exported);
+    } catch (error) {
+        console.error('Export questions error:', error);
+        res.status(500).json({ error: 'Failed to export questions' });
+    }
+});
+
+// POST /api/questions/import
+// JSON body `{ questions: [...] }`, or a CSV file sent as text/csv
+app.post('/api/questions/import', authenticateJWT, canManageQuestions, express.text({ type: 'text/csv', limit: '2mb' }), async (req, res) => {
+    try {
+        const payload = typeof req.body === 'string'
+            ? { format: 'csv', csv: req.body }
+            : { format: 'json', questions: req.body && req.body.questions };
+        const result = await importQuestions(payload, req.userId);
+        res.json({ message: 'Questions imported', ...result });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Import questions error:', error);
+        res.status(500).json({ error: 'Failed to import questions' });
+    }
+});
+
+// POST /api/questions
+app.post('/api/questions', authenticateJWT, canManageQuestions, async (req, res) => {
+    try {
+        const question = await createQuestion(req.body, req.userId);
+        res.status(201).json(formatAuthoredQuestion(question));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Create question error:', error);
+        res.status(500).json({ error: 'Failed to create question' });
+    }
+});
+
+// GET /api/questions/:id
+app.get('/api/questions/:id', authenticateJWT, canManageQuestions, async (req, res) => {
+    try {
+        const question = await Question.findOne({ id: req.params.id });
+        if (!question) return res.status(404).json({ error: 'Question not found' });
+        res.json(formatAuthoredQuestion(question));
+    } catch (error) {
+        console.error('Get question error:', error);
+        res.status(500).json({ error: 'Failed to fetch question' });
+    }
+});
+
+// PUT /api/questions/:id (partial edits, including status: draft | published)
+app.put('/api/questions/:id', authenticateJWT, canManageQuestions, async (req, res) => {
+    try {
+        const question = await updateQuestion(req.params.id, req.body || {}, req.userId);
+        res.json(formatAuthoredQuestion(question));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Update question error:', error);
+        res.status(500).json({ error: 'Failed to update question' });
+    }
+});
+
+// DELETE /api/questions/:id (archives the question)
+app.delete('/api/questions/:id', authenticateJWT, canManageQuestions, async (req, res) => {
+    try {
+        const question = await archiveQuestion(req.params.id, req.userId);
+        res.json(formatAuthoredQuestion(question));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Archive question error:', error);
+        res.status(500).json({ error: 'Failed to delete question' });
+    }
+});
+
+// GET /api/questions/:id/history
+app.get('/api/questions/:id/history', authenticateJWT, canManageQuestions, async (req, res) => {
+    try {
+        const history = await getQuestionHistory(req.params.id);
+        res.json(history.map(entry => ({
+            action: entry.action,
+            editor: entry.userId ? entry.userId.fullname : null,
+            changes: entry.changes.map(({ field, from, to }) => ({ field, from, to })),
+            at: entry.at
+        })));
+    } catch (error) {
+        console.error('Question history error:', error);
+        res.status(500).json({ error: 'Failed to fetch question history' });
+    }
+});
+
+// GET /api/progress
+// Today's XP, total XP, XP for each of the last 7 days (in the user's timezone) and the latest answers
+app.get('/api/progress', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await progressSummary(req.userId));
+    } catch (error) {
+        console.error('Get progress error:', error);
+        res.status(500).json({ error: 'Failed to fetch progress' });
+    }
+});
+
+// GET /api/progress/analytics?range=7d|30d|90d|year
+// Totals, accuracy per topic and a row for every day of the range, in the user's timezone
+app.get('/api/progress/analytics', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        range: z.enum(Object.keys(RANGES)).optional().default('30d')
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await progressAnalytics(req.userId, parsed.data));
+    } catch (error) {
+        console.error('Progress analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+});
+
+// POST /api/progress/complete
+// Counts a finished quiz session as a completed lesson: bonus XP and the streak, once per session
+app.post('/api/progress/complete', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        sessionId: objectId("Invalid session id")
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const { xp, user, rewards, achievements } = await claimLessonBonus(req.userId, parsed.data.sessionId);
+        res.json({
+            message: 'Progress updated',
+            xp,
+            rewards,
+            achievements,
+            streak: user.streak,
+            dailyXP: user.dailyXP,
+            totalXP: user.totalXP
+        });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Complete progress error:', error);
+        res.status(500).json({ error: 'Failed to complete progress' });
+    }
+});
+
+// GET /api/streak
+app.get('/api/streak', authenticateJWT, async (req, res) => {
+    try {
+        const user = await usersModel.findById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        const rollover = await rolloverUser(user);
+        res.json({ ...streakStatus(user), freezesUsed: rollover.freezesUsed, streakLost: rollover.streakLost });
+    } catch (error) {
+        console.error('Get streak error:', error);
+        res.status(500).json({ error: 'Failed to fetch streak' });
+    }
+});
+
+// POST /api/streak/freeze
+// Buy a streak freeze with gems; a held freeze covers one missed day automatically
+app.post('/api/streak/freeze', authenticateJWT, async (req, res) => {
+    try {
+        const { user } = await purchase(req.userId, 'streak-freeze');
+        res.json({ message: 'Streak freeze purchased', ...streakStatus(user), gems: user.gems });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Buy streak freeze error:', error);
+        res.status(500).json({ error: 'Failed to buy streak freeze' });
+    }
+});
+
+// Gems and crowns
+
+// GET /api/shop
+app.get('/api/shop', authenticateJWT, async (req, res) => {
+    try {
+        const user = await usersModel.findById(req.userId).select('gems crowns ownedFrames avatarFrame streakFreezes');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({
+            gems: user.gems,
+            crowns: user.crowns,
+            ownedFrames: user.ownedFrames,
+            avatarFrame: user.avatarFrame,
+            streakFreezes: user.streakFreezes,
+            items: Object.entries(SHOP_ITEMS).map(([id, item]) => formatShopItem(id, item))
+        });
+    } catch (error) {
+        console.error('Get shop error:', error);
+        res.status(500).json({ error: 'Failed to fetch shop' });
+    }
+});
+
+// POST /api/shop/purchase { itemId, topic? }
+app.post('/api/shop/purchase', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        itemId: z.string().min(1, "Item is required"),
+        topic: z.string().optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const { item, user, session } = await purchase(req.userId, parsed.data.itemId, { topic: parsed.data.topic });
+        res.json({
+            message: `${item.name} purchased`,
+            item,
+            gems: user.gems,
+            streakFreezes: user.streakFreezes,
+            ownedFrames: user.ownedFrames,
+            session: session ? summarizeSession(session) : undefined
+        });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Shop purchase error:', error);
+        res.status(500).json({ error: 'Failed to complete purchase' });
+    }
+});
+
+// PUT /api/user/frame { frameId } (empty to remove)
+app.put('/api/user/frame', authenticateJWT, async (req, res) => {
+    const frameId = typeof req.body?.frameId === 'string' ? req.body.frameId : '';
+    try {
+        const user = await equipFrame(req.userId, frameId);
+        res.json({ avatarFrame: user.avatarFrame });
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Equip frame error:', error);
+        res.status(500).json({ error: 'Failed to equip frame' });
+    }
+});
+
+// GET /api/wallet
+// Balances, recent ledger entries, and whether the ledger still adds up to the balances
+app.get('/api/wallet', authenticateJWT, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    try {
+        const user = await usersModel.findById(req.userId).select('gems crowns');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        const [ledger, transactions] = await Promise.all([
+            ledgerBalances(req.userId),
+            listTransactions(req.userId, { limit })
+        ]);
+        res.json({
+            gems: user.gems,
+            crowns: user.crowns,
+            balanced: ledger.gems === user.gems && ledger.crowns === user.crowns,
+            transactions
+        });
+    } catch (error) {
+        console.error('Get wallet error:', error);
+        res.status(500).json({ error: 'Failed to fetch wallet' });
+    }
+});
+
+// POST /api/wallet/rebuild
+// Recompute the user's gems and crowns from the ledger
+app.post('/api/wallet/rebuild', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await rebuildBalances(req.userId));
+    } catch (error) {
+        console.error('Rebuild wallet error:', error);
+        res.status(500).json({ error: 'Failed to rebuild balances' });
+    }
+});
+
+// GET /api/courses
 app.get('/api/courses', authenticateJWT, async (req, res) => {
     try {
         const courses = await Courses.find({ userId: req.userId });
@@ -584,6 +2035,17 @@ app.get('/api/courses', authenticateJWT, async (req, res) => {
     }
 });
 
+// GET /api/mastery
+// Per-topic mastery estimates (the same numbers behind Courses.progress)
+app.get('/api/mastery', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await listMastery(req.userId));
+    } catch (error) {
+        console.error('Get mastery error:', error);
+        res.status(500).json({ error: 'Failed to fetch mastery' });
+    }
+});
+
 // GET /api/leaderboard
 app.get('/api/leaderboard', async (req, res) => {
     try {
@@ -595,6 +2057,269 @@ app.get('/api/leaderboard', async (req, res) => {
     }
 });
 
+// GET /api/leaderboard/:period (week | month | all) ?state=&school=&topic=&limit=
+// Ranked from Progress XP in the period, with the caller's own rank and neighbours
+app.get('/api/leaderboard/:period', authenticateJWT, async (req, res) => {
+    const parsed = z.object({
+        period: z.enum(['week', 'month', 'all']),
+        state: z.string().trim().min(1).optional(),
+        school: z.string().trim().min(1).optional(),
+        topic: z.string().trim().min(1).transform(t => t.toLowerCase()).optional(),
+        limit: z.coerce.number().int().min(1).max(100).optional().default(10)
+    }).safeParse({ ...req.query, period: req.params.period });
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await getLeaderboard(req.userId, parsed.data));
+    } catch (error) {
+        console.error('Get scoped leaderboard error:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+// GET /api/league
+// The caller's weekly league: standings, promotion/demotion zones and last week's result
+app.get('/api/league', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await getLeague(req.userId));
+    } catch (error) {
+        console.error('Get league error:', error);
+        res.status(500).json({ error: 'Failed to fetch league' });
+    }
+});
+
+// Admin: users, teacher applications and review moderation. Admins also hold
+// 'questions:manage', so the question bank routes above are theirs too.
+
+const requireAdmin = requireRole('Admin');
+
+// GET /api/admin/users?role=&disabled=&q=&page=
+app.get('/api/admin/users', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = z.object({
+        role: z.enum(ROLES).optional(),
+        disabled: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+        q: z.string().trim().min(1).optional(),
+        page: z.coerce.number().int().min(1).optional().default(1),
+        limit: z.coerce.number().int().min(1).max(100).optional().default(50)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listUsers(parsed.data));
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// PUT /api/admin/users/:userId
+// Change a user's role or disable their account
+app.put('/api/admin/users/:userId', authenticateJWT, requireAdmin, async (req, res) => {
+    const params = objectIdParam('userId').safeParse(req.params);
+    const parsed = z.object({
+        role: z.enum(ROLES).optional(),
+        disabled: z.boolean().optional()
+    }).refine(data => data.role !== undefined || data.disabled !== undefined, "Nothing to update")
+        .safeParse(req.body || {});
+
+    if (!parsed.success || !params.success) return sendZodError(res, params.error, parsed.error);
+
+    try {
+        res.json(await updateUser(req.userId, params.data.userId, parsed.data));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin update user error:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// GET /api/admin/teacher-applications?status=
+app.get('/api/admin/teacher-applications', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = z.object({
+        status: z.enum(['pending', 'approved', 'rejected']).optional().default('pending'),
+        page: z.coerce.number().int().min(1).optional().default(1)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listApplications(parsed.data));
+    } catch (error) {
+        console.error('Admin list applications error:', error);
+        res.status(500).json({ error: 'Failed to fetch applications' });
+    }
+});
+
+// POST /api/admin/teacher-applications/:applicationId/(approve|reject)
+app.post('/api/admin/teacher-applications/:applicationId/:decision', authenticateJWT, requireAdmin, async (req, res) => {
+    const params = objectIdParam('applicationId').extend({
+        decision: z.enum(['approve', 'reject'])
+    }).safeParse(req.params);
+    const parsed = z.object({
+        note: z.string().trim().max(1000).optional()
+    }).safeParse(req.body || {});
+
+    if (!parsed.success || !params.success) return sendZodError(res, params.error, parsed.error);
+
+    try {
+        const { applicationId, decision } = params.data;
+        res.json(await reviewApplication(req.userId, applicationId, decision === 'approve', parsed.data.note));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin review application error:', error);
+        res.status(500).json({ error: 'Failed to update application' });
+    }
+});
+
+// GET /api/admin/verifications?status=&page=
+// Verification requests, oldest first (by default the ones waiting for a reviewer)
+app.get('/api/admin/verifications', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = z.object({
+        status: z.enum(['submitted', 'under-review', 'approved', 'rejected', 'all']).optional().default('submitted'),
+        page: z.coerce.number().int().min(1).optional().default(1)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        const { status, page } = parsed.data;
+        res.json(await listVerifications({ status: status === 'all' ? null : status, page }));
+    } catch (error) {
+        console.error('Admin list verifications error:', error);
+        res.status(500).json({ error: 'Failed to fetch verification requests' });
+    }
+});
+
+// POST /api/admin/verifications/:requestId/(review|approve|reject)
+// Take a request under review, or decide it; rejecting needs a reason for the teacher
+app.post('/api/admin/verifications/:requestId/:action', authenticateJWT, requireAdmin, async (req, res) => {
+    const params = objectIdParam('requestId').extend({
+        action: z.enum(['review', 'approve', 'reject'])
+    }).safeParse(req.params);
+    const parsed = z.object({
+        reason: z.string().trim().max(1000).optional().default('')
+    }).safeParse(req.body || {});
+
+    if (!params.success || !parsed.success) return sendZodError(res, params.error, parsed.error);
+    if (params.data.action === 'reject' && !parsed.data.reason) {
+        return res.status(400).json({ errors: [{ path: 'reason', message: 'Give the teacher a reason for the rejection' }] });
+    }
+
+    try {
+        const { requestId, action } = params.data;
+        res.json(await reviewVerification(req.userId, requestId, action, parsed.data.reason));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin review verification error:', error);
+        res.status(500).json({ error: 'Failed to update verification request' });
+    }
+});
+
+// Counselling dataset. `kind` is colleges or scholarships; entries are addressed by slug.
+const counsellingKind = z.object({ kind: z.enum(['colleges', 'scholarships']) });
+
+// GET /api/admin/counselling/:kind?q=&stream=&state=&page= (inactive entries included)
+app.get('/api/admin/counselling/:kind', authenticateJWT, requireAdmin, async (req, res) => {
+    const params = counsellingKind.safeParse(req.params);
+    const parsed = z.object({
+        q: z.string().trim().max(100).optional(),
+        stream: z.enum(STREAMS).optional(),
+        state: z.string().trim().min(3).optional(),
+        page: z.coerce.number().int().min(1).optional().default(1)
+    }).safeParse(req.query);
+
+    if (!params.success || !parsed.success) return sendZodError(res, params.error, parsed.error);
+
+    try {
+        res.json(await listEntries(params.data.kind, { ...parsed.data, includeInactive: true }));
+    } catch (error) {
+        console.error('Admin list counselling error:', error);
+        res.status(500).json({ error: 'Failed to fetch counselling data' });
+    }
+});
+
+// POST /api/admin/counselling/:kind
+app.post('/api/admin/counselling/:kind', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = counsellingKind.safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.status(201).json(await createEntry(parsed.data.kind, req.body || {}));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin create counselling error:', error);
+        res.status(500).json({ error: 'Failed to create entry' });
+    }
+});
+
+// PUT /api/admin/counselling/:kind/:slug (partial edits; `active: false` hides an entry)
+app.put('/api/admin/counselling/:kind/:slug', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = counsellingKind.safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await updateEntry(parsed.data.kind, req.params.slug, req.body || {}));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin update counselling error:', error);
+        res.status(500).json({ error: 'Failed to update entry' });
+    }
+});
+
+// DELETE /api/admin/counselling/:kind/:slug
+app.delete('/api/admin/counselling/:kind/:slug', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = counsellingKind.safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await deleteEntry(parsed.data.kind, req.params.slug));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin delete counselling error:', error);
+        res.status(500).json({ error: 'Failed to delete entry' });
+    }
+});
+
+// GET /api/admin/reviews?teacherId=&studentId=&maxRating=&page=
+app.get('/api/admin/reviews', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = z.object({
+        teacherId: objectId("Invalid teacher id").optional(),
+        studentId: objectId("Invalid student id").optional(),
+        maxRating: z.coerce.number().int().min(1).max(5).optional(),
+        page: z.coerce.number().int().min(1).optional().default(1)
+    }).safeParse(req.query);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await listAllReviews(parsed.data));
+    } catch (error) {
+        console.error('Admin list reviews error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// DELETE /api/admin/reviews/:reviewId
+// Remove an abusive review; the teacher's rating is updated as for any deletion
+app.delete('/api/admin/reviews/:reviewId', authenticateJWT, requireAdmin, async (req, res) => {
+    const parsed = objectIdParam('reviewId').safeParse(req.params);
+
+    if (!parsed.success) return sendZodError(res, parsed.error);
+
+    try {
+        res.json(await deleteReview(null, parsed.data.reviewId));
+    } catch (error) {
+        if (sendApiError(res, error)) return;
+        console.error('Admin delete review error:', error);
+        res.status(500).json({ error: 'Failed to delete review' });
+    }
+});
+
 // Initialize questions (run once or on startup if collection is empty)
 async function initializeQuestions() {
     const topics = ['magnetism', 'electricity', 'waves', 'optics', 'thermodynamics', 'biology', 'genetics', 'evolution', 'chemistry', 'organic chemistry', 'algebra', 'geometry', 'trigonometry', 'calculus', 'probability', 'history', 'geography', 'civics', 'economics', 'philosophy'];
@@ -624,7 +2349,8 @@ async function initializeQuestions() {
                 options: q.options ? q.options.map(opt => ({ value: opt })) : undefined,
                 correctAnswer: q.correctAnswer,
                 feedback: q.feedback,
-                topic: topic.toLowerCase()
+                topic: topic.toLowerCase(),
+                status: 'published'
             })) : [];
 
             if (initialQuestions.length > 0) {
@@ -638,11 +2364,34 @@ async function initializeQuestions() {
 // Run initialization on startup
 initializeQuestions().catch(err => console.error('Failed to initialize questions:', err));
 
+promoteConfiguredAdmins(ADMIN_USERNAMES)
+    .then(count => count && console.log(`Promoted ${count} users from ADMIN_USERNAMES to Admin`))
+    .catch(err => console.error('Failed to promote admins:', err));
+
+seedCounselling()
+    .then(count => count && console.log(`Seeded ${count} colleges and scholarships`))
+    .catch(err => console.error('Failed to seed counselling data:', err));
+
+// Daily streak/XP rollover. Runs hourly so every timezone's midnight is covered;
+// requests also roll users over lazily, which is all that happens on Vercel.
+// The same tick closes last week's leagues once the week is over; reading the leagues or
+// leaderboards does that too (see leaderboard.js).
+const ROLLOVER_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+    runDailyRollover()
+        .then(count => count && console.log(`Daily rollover updated ${count} users`))
+        .catch(err => console.error('Daily rollover failed:', err));
+    closeFinishedLeagueWeeks()
+        .then(closed => closed && console.log('Closed last week\'s leagues'))
+        .catch(err => console.error('League close failed:', err));
+}, ROLLOVER_INTERVAL_MS).unref();
+
 // Listen (for local dev; Vercel ignores PORT)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
+attachChatSocket(server, { rateLimit: limits.chat });
 
 // Export for Vercel serverless
 module.exports = (req, res) => {
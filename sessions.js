@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { usersModel, AuthSession } = require('./db.js');
+const { ApiError } = require('./errors.js');
+
+// Access tokens are short-lived; the refresh token keeps a device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 401 with a machine-readable `code`, so clients know whether to refresh or sign in again
+const authError = (code, message, path = 'auth') => new ApiError(401, path, message, [{ path, message, code }]);
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = (now) => new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS);
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+    { id: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRETE,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are '<session id>.<secret>', so the session is found without a scan
+const issueTokens = (session, secret) => {
+    const token = signAccessToken(session.userId, session._id);
+    const { iat, exp } = jwt.decode(token);
+    return { token, refreshToken: `${session._id}.${secret}`, expiresIn: exp - iat };
+};
+
+const formatSession = (session, currentSessionId) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+});
+
+// Start a session for a device that just signed in
+async function createSession(userId, { userAgent = '', ip = '' } = {}, now = new Date()) {
+    const secret = newSecret();
+    const session = await AuthSession.create({
+        userId,
+        tokenHash: hashToken(secret),
+        userAgent,
+        ip,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now)
+    });
+    return issueTokens(session, secret);
+}
+
+// Swap a refresh token for a new access and refresh token. Presenting a refresh token that
+// was already swapped means it was copied, so the whole session is revoked.
+async function refreshSession(refreshToken, { userAgent = '', ip = '' } = {}, now = new Date()) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!/^[a-f\d]{24}$/i.test(sessionId || '') || !secret) {
+        throw authError('refresh_invalid', 'Invalid refresh token', 'refreshToken');
+    }
+
+    const session = await AuthSession.findById(sessionId);
+    if (!session) throw authError('refresh_invalid', 'Invalid refresh token', 'refreshToken');
+    if (session.revokedAt) throw authError('session_revoked', 'This session has been logged out', 'refreshToken');
+    if (session.expiresAt <= now) throw authError('session_expired', 'This session has expired, please sign in again', 'refreshToken');
+
+    const hash = hashToken(secret);
+    if (hash === session.previousTokenHash) {
+        await revokeSession(session.userId, session._id, 'refresh-token-reuse');
+        throw authError('refresh_reused', 'This refresh token was already used; the session has been logged out', 'refreshToken');
+    }
+
+    const user = await usersModel.findById(session.userId).select('disabled');
+    if (!user || user.disabled) {
+        await revokeSession(session.userId, session._id, 'account-disabled');
+        throw authError('account_disabled', 'This account has been disabled', 'refreshToken');
+    }
+
+    const nextSecret = newSecret();
+    const rotated = await AuthSession.findOneAndUpdate(
+        { _id: session._id, tokenHash: hash, revokedAt: null },
+        {
+            $set: {
+                tokenHash: hashToken(nextSecret),
+                previousTokenHash: hash,
+                lastUsedAt: now,
+                expiresAt: refreshExpiry(now),
+                userAgent: userAgent || session.userAgent,
+                ip: ip || session.ip
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) throw authError('refresh_invalid', 'Invalid refresh token', 'refreshToken');
+    return issueTokens(rotated, nextSecret);
+}
+
+async function revokeSession(userId, sessionId, reason = 'logout') {
+    const result = await AuthSession.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+}
+
+// Log out every device, or every other device when `exceptSessionId` is given
+async function revokeAllSessions(userId, reason = 'logout-all', exceptSessionId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await AuthSession.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+}
+
+async function listSessions(userId, currentSessionId, now = new Date()) {
+    const sessions = await AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: now } }).sort({ lastUsedAt: -1 });
+    return sessions.map(s => formatSession(s, currentSessionId));
+}
+
+module.exports = {
+    authError,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+};
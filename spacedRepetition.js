@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { Question, Progress, ReviewSchedule } = require('./db.js');
+
+// SM-2 scheduling: each answer becomes a recall quality grade (0-5). A correct answer
+// pushes the question further out; a miss resets it and brings it back within minutes.
+const MIN_EASINESS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const QUALITY_CORRECT = 4;
+const QUALITY_MISSED = 1;
+
+// Next SM-2 state for a schedule after one answer
+const nextSchedule = (card, isCorrect, at = new Date()) => {
+    const quality = isCorrect ? QUALITY_CORRECT : QUALITY_MISSED;
+    let easiness = card.easiness ?? 2.5;
+    let interval = card.interval ?? 0;
+    let repetitions = card.repetitions ?? 0;
+    let lapses = card.lapses ?? 0;
+
+    if (quality >= 3) {
+        repetitions += 1;
+        if (repetitions === 1) interval = 1;
+        else if (repetitions === 2) interval = 6;
+        else interval = Math.round(interval * easiness);
+    } else {
+        repetitions = 0;
+        interval = 0;
+        lapses += 1;
+    }
+    easiness = Math.max(MIN_EASINESS, easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    const dueAt = new Date(at.getTime() + (interval > 0 ? interval * DAY_MS : RELEARN_DELAY_MS));
+    return { easiness, interval, repetitions, lapses, dueAt, lastReviewedAt: at };
+};
+
+// Update the user's schedule for a question after an answer is recorded
+async function recordReview(userId, questionId, topic, isCorrect, at = new Date()) {
+    const card = await ReviewSchedule.findOne({ userId, questionId });
+    const next = nextSchedule(card || {}, isCorrect, at);
+    return ReviewSchedule.findOneAndUpdate(
+        { userId, questionId },
+        { $set: { ...next, topic } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+// Replay the user's Progress history into schedules. Used once for users who answered
+// questions before scheduling existed.
+async function rebuildSchedules(userId) {
+    const history = await Progress.find({ userId, isCorrect: { $ne: null }, questionId: { $ne: 'manual-lesson' } })
+        .sort({ timestamp: 1 });
+    const cards = new Map();
+    for (const p of history) {
+        const card = cards.get(p.questionId) || { topic: p.topic };
+        cards.set(p.questionId, { ...nextSchedule(card, p.isCorrect, p.timestamp), topic: p.topic || card.topic });
+    }
+    if (!cards.size) return 0;
+
+    await ReviewSchedule.bulkWrite([...cards].map(([questionId, card]) => ({
+        updateOne: {
+            filter: { userId, questionId },
+            update: { $set: card },
+            upsert: true
+        }
+    })));
+    return cards.size;
+}
+
+// Backfill schedules from history the first time a user's reviews are looked at
+async function ensureSchedules(userId) {
+    if (!await ReviewSchedule.exists({ userId })) await rebuildSchedules(userId);
+}
+
+// Question ids due for review, most overdue first (optionally limited to one topic)
+async function dueQuestionIds(userId, { topic, now = new Date(), limit = 0 } = {}) {
+    const filter = { userId, dueAt: { $lte: now } };
+    if (topic) filter.topic = topic;
+    const query = ReviewSchedule.find(filter).sort({ dueAt: 1 }).select('questionId');
+    if (limit) query.limit(limit);
+    return (await query).map(card => card.questionId);
+}
+
+// Due items across all topics with their prompts, plus a per-topic count
+async function listDueReviews(userId, { now = new Date(), limit = 50 } = {}) {
+    await ensureSchedules(userId);
+
+    const filter = { userId: new mongoose.Types.ObjectId(userId), dueAt: { $lte: now } };
+    const [cards, byTopic, total] = await Promise.all([
+        ReviewSchedule.find(filter).sort({ dueAt: 1 }).limit(limit),
+        ReviewSchedule.aggregate([
+            { $match: filter },
+            { $group: { _id: '$topic', due: { $sum: 1 } } },
+            { $sort: { due: -1 } }
+        ]),
+        ReviewSchedule.countDocuments(filter)
+    ]);
+
+    const questions = await Question.find({ id: { $in: cards.map(c => c.questionId) } }).select('id prompt type');
+    const prompts = new Map(questions.map(q => [q.id, q]));
+
+    return {
+        total,
+        byTopic: byTopic.map(t => ({ topic: t._id, due: t.due })),
+        items: cards.map(card => ({
+            questionId: card.questionId,
+            topic: card.topic,
+            prompt: prompts.has(card.questionId) ? prompts.get(card.questionId).prompt : null,
+            type: prompts.has(card.questionId) ? prompts.get(card.questionId).type : null,
+            dueAt: card.dueAt,
+            interval: card.interval,
+            repetitions: card.repetitions,
+            lapses: card.lapses
+        }))
+    };
+}
+
+module.exports = {
+    nextSchedule,
+    recordReview,
+    rebuildSchedules,
+    ensureSchedules,
+    dueQuestionIds,
+    listDueReviews
+};
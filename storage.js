@@ -0,0 +1,47 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Uploaded files go through a storage backend: any object with
+//   async save(key, buffer, { contentType })  async read(key) → Buffer  async remove(key)
+// Keys are '/'-separated paths chosen by the caller. Files are kept on local disk under
+// UPLOAD_DIR by default; another backend (S3, GCS...) is plugged in with setStorage().
+// Vercel's disk is not persistent, so deployments there need one.
+
+const diskStorage = (dir) => {
+    const root = path.resolve(dir);
+    // Keys never reach outside the upload directory
+    const fileFor = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return file;
+    };
+
+    return {
+        name: 'disk',
+        async save(key, buffer) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+        async read(key) {
+            return fs.readFile(fileFor(key));
+        },
+        async remove(key) {
+            await fs.rm(fileFor(key), { force: true });
+        }
+    };
+};
+
+let storage = diskStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+
+const setStorage = (next) => {
+    storage = next;
+};
+
+const getStorage = () => storage;
+
+module.exports = {
+    diskStorage,
+    setStorage,
+    getStorage
+};
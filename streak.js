@@ -0,0 +1,203 @@
+const { usersModel } = require('./db.js');
+const { ApiError } = require('./errors.js');
+
+// Streaks and daily XP run on the learner's own calendar day, in their timezone
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const STREAK_FREEZE_COST = 10;  // gems
+const MAX_STREAK_FREEZES = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Calendar day ('YYYY-MM-DD') of a moment in a timezone
+const localDay = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(date);
+
+// Whole days from one 'YYYY-MM-DD' day to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const previousDay = (day) => new Date(Date.parse(day) - DAY_MS).toISOString().slice(0, 10);
+
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+// The instant a 'YYYY-MM-DD' day starts in a timezone
+const startOfDay = (day, timezone = DEFAULT_TIMEZONE) => {
+    const utcMidnight = Date.parse(day);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(utcMidnight).map(p => [p.type, p.value]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return new Date(utcMidnight - (wallClock - utcMidnight));
+};
+
+// Bring a user document up to date for `now`: start a new daily XP count on a new day,
+// and cover missed days with streak freezes or reset the streak. Mutates the document
+// and reports what happened; the caller saves it.
+const applyRollover = (user, now = new Date()) => {
+    const timezone = user.timezone || DEFAULT_TIMEZONE;
+    const today = localDay(now, timezone);
+    const result = { changed: false, today, freezesUsed: 0, streakLost: false, previousDay: null };
+
+    // Users from before day tracking: take their days from the last progress date
+    if (user.lastProgressDate) {
+        const lastDay = localDay(user.lastProgressDate, timezone);
+        if (!user.dailyXPDay) user.dailyXPDay = lastDay;
+        if (!user.lastActiveDay && user.streak > 0) user.lastActiveDay = lastDay;
+    }
+
+    if (user.dailyXPDay !== today) {
+        result.previousDay = {
+            day: user.dailyXPDay || null,
+            dailyXP: user.dailyXP || 0,
+            goalMet: (user.dailyXP || 0) >= user.xpGoal
+        };
+        user.dailyXP = 0;
+        user.dailyXPDay = today;
+        result.changed = true;
+    }
+
+    if (user.streak > 0 && user.lastActiveDay) {
+        const missed = daysBetween(user.lastActiveDay, today) - 1;
+        if (missed > 0) {
+            if ((user.streakFreezes || 0) >= missed) {
+                user.streakFreezes -= missed;
+                // The frozen days count as kept, so activity today extends the streak
+                user.lastActiveDay = previousDay(today);
+                result.freezesUsed = missed;
+            } else {
+                user.streak = 0;
+                result.streakLost = true;
+            }
+            result.changed = true;
+        }
+    }
+
+    return result;
+};
+
+// Apply and persist the rollover for a user document
+async function rolloverUser(user, now = new Date()) {
+    const result = applyRollover(user, now);
+    if (result.changed) await user.save();
+    return result;
+}
+
+// Credit XP for activity now: extends the streak on the first activity of the day and
+// reports whether the daily goal was just reached
+async function recordActivity(userId, xp, now = new Date()) {
+    const user = await usersModel.findById(userId);
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    const { today } = await rolloverUser(user, now);
+
+    const extended = await usersModel.findOneAndUpdate(
+        { _id: userId, lastActiveDay: { $ne: today } },
+        { $inc: { streak: 1 }, $set: { lastActiveDay: today } },
+        { new: true }
+    );
+    const updated = await usersModel.findOneAndUpdate(
+        { _id: userId },
+        {
+            $inc: { dailyXP: xp, totalXP: xp },
+            $max: { longestStreak: extended ? extended.streak : user.streak },
+            $set: { lastProgressDate: now }
+        },
+        { new: true }
+    );
+
+    const goalReached = updated.dailyXP >= updated.xpGoal && updated.lastGoalMetDay !== today;
+    if (goalReached) {
+        await usersModel.updateOne({ _id: userId }, { $set: { lastGoalMetDay: today } });
+    }
+
+    return { user: updated, today, streakExtended: !!extended, goalReached };
+}
+
+// Credit XP for activity that happened at `at`, e.g. answers recorded offline and synced
+// later. Activity today counts as in recordActivity. Earlier days only add to the total XP,
+// and extend the streak when they follow on from the last active day (or start a new one);
+// call rolloverUser once the whole batch is in, so the days after are checked as usual.
+// A streak already reset because those days looked missed starts again, it isn't restored.
+async function recordActivityAt(userId, xp, at, now = new Date()) {
+    const user = await usersModel.findById(userId);
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    const day = localDay(at, user.timezone);
+    if (day >= localDay(now, user.timezone)) return recordActivity(userId, xp, now);
+
+    let extended = null;
+    if (!user.lastActiveDay || user.lastActiveDay < day) {
+        const follows = user.streak > 0 && user.lastActiveDay === previousDay(day);
+        extended = await usersModel.findOneAndUpdate(
+            { _id: userId, lastActiveDay: user.lastActiveDay || null },
+            follows ? { $inc: { streak: 1 }, $set: { lastActiveDay: day } } : { $set: { streak: 1, lastActiveDay: day } },
+            { new: true }
+        );
+    }
+    const updated = await usersModel.findOneAndUpdate(
+        { _id: userId },
+        {
+            $inc: { totalXP: xp },
+            $max: { longestStreak: extended ? extended.streak : user.streak, lastProgressDate: at }
+        },
+        { new: true }
+    );
+
+    return { user: updated, today: day, streakExtended: !!extended, goalReached: false };
+}
+
+const streakStatus = (user, now = new Date()) => {
+    const today = localDay(now, user.timezone);
+    return {
+        streak: user.streak,
+        longestStreak: Math.max(user.longestStreak || 0, user.streak || 0),
+        streakFreezes: user.streakFreezes || 0,
+        activeToday: user.lastActiveDay === today,
+        dailyXP: user.dailyXP,
+        xpGoal: user.xpGoal,
+        goalMetToday: user.lastGoalMetDay === today,
+        timezone: user.timezone || DEFAULT_TIMEZONE,
+        today
+    };
+};
+
+// Roll over every user with something to reset. Lazy rollover on read keeps single users
+// correct; this keeps stored streaks and daily XP honest for leaderboards and reports.
+async function runDailyRollover(now = new Date()) {
+    let updated = 0;
+    const cursor = usersModel.find({ $or: [{ dailyXP: { $gt: 0 } }, { streak: { $gt: 0 } }] }).cursor();
+    for await (const user of cursor) {
+        const result = await rolloverUser(user, now);
+        if (result.changed) updated++;
+    }
+    return updated;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    STREAK_FREEZE_COST,
+    MAX_STREAK_FREEZES,
+    isValidTimezone,
+    localDay,
+    daysBetween,
+    addDays,
+    startOfDay,
+    applyRollover,
+    rolloverUser,
+    recordActivity,
+    recordActivityAt,
+    streakStatus,
+    runDailyRollover
+};
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { usersModel, Question, Progress, StudentAssignment } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { ACTIVE } = require('./teachers.js');
+const { toCsv } = require('./csv.js');
+const { ANSWERED, percent, lastDays, userTimezone } = require('./analytics.js');
+
+// Reports for teachers on their assigned students, aggregated from Progress
+
+// Time between two answers counts as time on task unless it is longer than this,
+// in which case the student is taken to have stopped and come back later
+const SITTING_GAP_MS = 10 * 60 * 1000;
+const MISSED_LIMIT = 10;
+const HARDEST_LIMIT = 20;
+const HARDEST_MIN_ATTEMPTS = 3;  // Fewer attempts than this say little about a question
+
+const minutes = (ms) => ({ $round: [{ $divide: [ms, 60 * 1000] }, 1] });
+const NO_ACTIVITY = { answered: 0, correct: 0, accuracy: null, xp: 0, timeOnTaskMinutes: 0, lastActiveAt: null };
+
+// Per answer: whether it was graded and right, and the time since the student's previous answer
+const answerStages = [
+    {
+        $setWindowFields: {
+            partitionBy: '$userId',
+            sortBy: { timestamp: 1 },
+            output: { previousAt: { $shift: { output: '$timestamp', by: -1 } } }
+        }
+    },
+    {
+        $addFields: {
+            answered: { $cond: [ANSWERED, 1, 0] },
+            correct: { $cond: [{ $and: [ANSWERED, { $eq: ['$isCorrect', true] }] }, 1, 0] },
+            xp: { $ifNull: ['$xp', 0] },
+            gapMs: { $subtract: ['$timestamp', { $ifNull: ['$previousAt', '$timestamp'] }] }
+        }
+    },
+    { $addFields: { activeMs: { $cond: [{ $lte: ['$gapMs', SITTING_GAP_MS] }, '$gapMs', 0] } } }
+];
+
+const totals = {
+    answered: { $sum: '$answered' },
+    correct: { $sum: '$correct' },
+    xp: { $sum: '$xp' },
+    activeMs: { $sum: '$activeMs' },
+    lastActiveAt: { $max: '$timestamp' }
+};
+
+const totalsOut = {
+    answered: 1,
+    correct: 1,
+    accuracy: percent('$correct', '$answered'),
+    xp: 1,
+    timeOnTaskMinutes: minutes('$activeMs'),
+    lastActiveAt: 1
+};
+
+// The question's prompt next to its id
+const withPrompt = [
+    { $lookup: { from: Question.collection.name, localField: '_id', foreignField: 'id', as: 'question' } },
+    { $addFields: { prompt: { $ifNull: [{ $first: '$question.prompt' }, null] } } },
+    { $project: { question: 0 } }
+];
+
+async function assignedStudents(teacherId) {
+    const ids = await StudentAssignment.distinct('studentId', { teacherId, ...ACTIVE });
+    return usersModel.find({ _id: { $in: ids } }).select('fullname streak');
+}
+
+// Accuracy per topic, most-missed questions, time on task, daily XP and activity streaks
+// for one student assigned to the teacher
+async function studentReport(teacherId, studentId, { days = 30 } = {}, now = new Date()) {
+    const assigned = await StudentAssignment.exists({ teacherId, studentId, ...ACTIVE });
+    if (!assigned) throw new ApiError(404, 'studentId', 'This student is not assigned to you');
+    const student = await usersModel.findById(studentId).select('fullname timezone streak longestStreak');
+    if (!student) throw new ApiError(404, 'studentId', 'Student not found');
+
+    const timezone = userTimezone(student);
+    const range = lastDays(days, timezone, now);
+
+    const [result] = await Progress.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(studentId)), timestamp: { $gte: range.from, $lte: range.to } } },
+        ...answerStages,
+        { $addFields: { day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } } } },
+        {
+            $facet: {
+                summary: [
+                    { $group: { _id: null, ...totals } },
+                    { $project: { _id: 0, ...totalsOut } }
+                ],
+                topics: [
+                    { $group: { _id: { $ifNull: ['$topic', 'unknown'] }, ...totals } },
+                    { $sort: { answered: -1, _id: 1 } },
+                    { $project: { _id: 0, topic: '$_id', ...totalsOut } }
+                ],
+                missed: [
+                    { $match: { answered: 1 } },
+                    {
+                        $group: {
+                            _id: '$questionId',
+                            topic: { $last: '$topic' },
+                            attempts: { $sum: 1 },
+                            misses: { $sum: { $subtract: [1, '$correct'] } },
+                            lastMissedAt: { $max: { $cond: [{ $eq: ['$correct', 0] }, '$timestamp', null] } }
+                        }
+                    },
+                    { $match: { misses: { $gt: 0 } } },
+                    { $sort: { misses: -1, lastMissedAt: -1 } },
+                    { $limit: MISSED_LIMIT },
+                    ...withPrompt,
+                    { $project: { _id: 0, questionId: '$_id', prompt: 1, topic: 1, attempts: 1, misses: 1, lastMissedAt: 1 } }
+                ],
+                days: [
+                    { $group: { _id: '$day', ...totals } },
+                    { $sort: { _id: 1 } },
+                    { $project: { _id: 0, day: '$_id', answered: 1, correct: 1, accuracy: percent('$correct', '$answered'), xp: 1, timeOnTaskMinutes: minutes('$activeMs') } }
+                ],
+                // Runs of consecutive days with any activity: days minus their position in
+                // the sorted list is the same number all through a run
+                streaks: [
+                    { $group: { _id: '$day' } },
+                    { $addFields: { dayNumber: { $floor: { $divide: [{ $toLong: { $dateFromString: { dateString: '$_id' } } }, 24 * 60 * 60 * 1000] } } } },
+                    { $setWindowFields: { sortBy: { _id: 1 }, output: { position: { $documentNumber: {} } } } },
+                    { $group: { _id: { $subtract: ['$dayNumber', '$position'] }, from: { $min: '$_id' }, to: { $max: '$_id' }, days: { $sum: 1 } } },
+                    { $sort: { from: -1 } },
+                    { $project: { _id: 0, from: 1, to: 1, days: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        student: {
+            id: student._id,
+            name: student.fullname,
+            streak: student.streak || 0,
+            longestStreak: student.longestStreak || 0
+        },
+        range,
+        summary: result.summary[0] || NO_ACTIVITY,
+        topics: result.topics,
+        missed: result.missed,
+        days: result.days,
+        streaks: result.streaks
+    };
+}
+
+// Totals for each of the teacher's students, and the questions they find hardest
+async function classReport(teacherId, { days = 30 } = {}, now = new Date()) {
+    const teacher = await usersModel.findById(teacherId).select('timezone');
+    const range = lastDays(days, userTimezone(teacher), now);
+    const students = await assignedStudents(teacherId);
+
+    const [result] = await Progress.aggregate([
+        { $match: { userId: { $in: students.map(s => s._id) }, timestamp: { $gte: range.from, $lte: range.to } } },
+        ...answerStages,
+        {
+            $facet: {
+                students: [
+                    { $group: { _id: '$userId', ...totals } },
+                    { $project: { _id: 0, studentId: '$_id', ...totalsOut } }
+                ],
+                hardestQuestions: [
+                    { $match: { answered: 1 } },
+                    {
+                        $group: {
+                            _id: '$questionId',
+                            topic: { $last: '$topic' },
+                            attempts: { $sum: 1 },
+                            correct: { $sum: '$correct' },
+                            students: { $addToSet: '$userId' }
+                        }
+                    },
+                    { $match: { attempts: { $gte: HARDEST_MIN_ATTEMPTS } } },
+                    { $addFields: { accuracy: percent('$correct', '$attempts'), students: { $size: '$students' } } },
+                    { $sort: { accuracy: 1, attempts: -1 } },
+                    { $limit: HARDEST_LIMIT },
+                    ...withPrompt,
+                    { $project: { _id: 0, questionId: '$_id', prompt: 1, topic: 1, attempts: 1, correct: 1, accuracy: 1, students: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    // Students with nothing in the range are listed too, with empty totals
+    const byStudent = new Map(result.students.map(s => [s.studentId.toString(), s]));
+    return {
+        range,
+        students: students.map(s => ({
+            ...(byStudent.get(s._id.toString()) || NO_ACTIVITY),
+            studentId: s._id,
+            name: s.fullname,
+            streak: s.streak || 0
+        })).sort((a, b) => b.xp - a.xp || a.name.localeCompare(b.name)),
+        hardestQuestions: result.hardestQuestions
+    };
+}
+
+// CSV columns for each section of the two reports
+const CSV_SECTIONS = {
+    student: {
+        topics: ['topic', 'answered', 'correct', 'accuracy', 'xp', 'timeOnTaskMinutes', 'lastActiveAt'],
+        missed: ['questionId', 'prompt', 'topic', 'attempts', 'misses', 'lastMissedAt'],
+        days: ['day', 'answered', 'correct', 'accuracy', 'xp', 'timeOnTaskMinutes'],
+        streaks: ['from', 'to', 'days']
+    },
+    class: {
+        students: ['studentId', 'name', 'streak', 'answered', 'correct', 'accuracy', 'xp', 'timeOnTaskMinutes', 'lastActiveAt'],
+        hardestQuestions: ['questionId', 'prompt', 'topic', 'attempts', 'correct', 'accuracy', 'students']
+    }
+};
+
+// One section of a report as CSV; dates are written as ISO strings
+const reportCsv = (report, kind, section) => {
+    const columns = CSV_SECTIONS[kind][section];
+    const rows = report[section].map(row => Object.fromEntries(columns.map(col => [
+        col,
+        row[col] instanceof Date ? row[col].toISOString() : row[col]
+    ])));
+    return toCsv(rows, columns);
+};
+
+module.exports = {
+    CSV_SECTIONS,
+    studentReport,
+    classReport,
+    reportCsv
+};
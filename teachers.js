@@ -0,0 +1,260 @@
+const { usersModel, TeacherApplication, TeacherRequest, StudentAssignment } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { PLACEHOLDER_AVATAR, escapeRegex } = require('./util.js');
+
+// Assignments created before requests existed have no status
+const ACTIVE = { status: { $ne: 'ended' } };
+
+const formatTeacher = (teacher) => ({
+    id: teacher._id,
+    name: teacher.fullname,
+    avatar: teacher.avatar || PLACEHOLDER_AVATAR,
+    state: teacher.state,
+    subjects: teacher.subjects || [],
+    bio: teacher.bio || '',
+    rating: teacher.rating || 0,
+    ratingCount: teacher.ratingCount || 0,
+    verified: !!teacher.verified
+});
+
+const formatPerson = (user) => user ? {
+    id: user._id,
+    name: user.fullname,
+    avatar: user.avatar || PLACEHOLDER_AVATAR
+} : null;
+
+const formatRequest = (request) => ({
+    id: request._id,
+    student: formatPerson(request.studentId),
+    teacher: formatPerson(request.teacherId),
+    subject: request.subject,
+    message: request.message,
+    status: request.status,
+    createdAt: request.createdAt,
+    respondedAt: request.respondedAt
+});
+
+const formatAssignment = (assignment) => ({
+    id: assignment._id,
+    student: formatPerson(assignment.studentId),
+    teacher: formatPerson(assignment.teacherId),
+    subject: assignment.subject,
+    status: assignment.status || 'active',
+    assignedAt: assignment.assignedAt,
+    endedAt: assignment.endedAt
+});
+
+const formatApplication = (application) => ({
+    id: application._id,
+    user: formatPerson(application.userId),
+    subjects: application.subjects,
+    bio: application.bio,
+    qualifications: application.qualifications,
+    status: application.status,
+    note: application.note,
+    createdAt: application.createdAt,
+    reviewedAt: application.reviewedAt
+});
+
+// A student applies to teach; an admin decides (see reviewApplication)
+async function applyToTeach(userId, { subjects, bio = '', qualifications = '' }) {
+    const user = await usersModel.findById(userId).select('role emailVerified');
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    if (!user.emailVerified) throw new ApiError(403, 'email', 'Verify your email address before applying');
+    if (user.role !== 'Student') throw new ApiError(409, 'role', `You already have the ${user.role} role`);
+
+    try {
+        const application = await TeacherApplication.create({ userId, subjects, bio, qualifications });
+        return formatApplication(await application.populate('userId', 'fullname avatar'));
+    } catch (e) {
+        if (e.code === 11000) throw new ApiError(409, 'application', 'You already have an application waiting for review');
+        throw e;
+    }
+}
+
+// The user's applications, newest first
+async function listApplicationsOf(userId) {
+    const applications = await TeacherApplication.find({ userId }).sort({ createdAt: -1 }).populate('userId', 'fullname avatar');
+    return applications.map(formatApplication);
+}
+
+async function listApplications({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const filter = status ? { status } : {};
+    const [total, applications] = await Promise.all([
+        TeacherApplication.countDocuments(filter),
+        TeacherApplication.find(filter)
+            .sort({ createdAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('userId', 'fullname avatar')
+    ]);
+    return { total, page, applications: applications.map(formatApplication) };
+}
+
+// Approving makes the applicant a Teacher with the subjects and bio they applied with
+async function reviewApplication(adminId, applicationId, approve, note = '') {
+    const application = await TeacherApplication.findOneAndUpdate(
+        { _id: applicationId, status: 'pending' },
+        { $set: { status: approve ? 'approved' : 'rejected', reviewedBy: adminId, reviewedAt: new Date(), note } },
+        { new: true }
+    );
+    if (!application) {
+        const existing = await TeacherApplication.findById(applicationId);
+        if (!existing) throw new ApiError(404, 'applicationId', 'Application not found');
+        throw new ApiError(409, 'applicationId', `This application was already ${existing.status}`);
+    }
+
+    if (approve) {
+        // Only students are promoted, so approving can never demote an admin
+        await usersModel.updateOne(
+            { _id: application.userId, role: 'Student' },
+            { $set: { role: 'Teacher', subjects: application.subjects, bio: application.bio } }
+        );
+    }
+    return formatApplication(await application.populate('userId', 'fullname avatar'));
+}
+
+// Teachers matching a subject (case-insensitive, partial), minimum rating and state, best rated first
+async function searchTeachers({ subject, minRating, state, page = 1, limit = 20 } = {}) {
+    const filter = { role: 'Teacher', disabled: { $ne: true } };
+    if (subject) filter.subjects = { $regex: escapeRegex(subject), $options: 'i' };
+    if (minRating) filter.rating = { $gte: minRating };
+    if (state) filter.state = state;
+
+    const [total, teachers] = await Promise.all([
+        usersModel.countDocuments(filter),
+        usersModel.find(filter)
+            .select('fullname avatar state subjects bio rating ratingCount verified')
+            .sort({ rating: -1, fullname: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    return { total, page, teachers: teachers.map(formatTeacher) };
+}
+
+async function requestTeacher(studentId, { teacherId, subject, message = '' }) {
+    if (teacherId.toString() === studentId.toString()) {
+        throw new ApiError(400, 'teacherId', 'You cannot request yourself as a teacher');
+    }
+    const teacher = await usersModel.findById(teacherId).select('role disabled');
+    if (!teacher || teacher.role !== 'Teacher' || teacher.disabled) throw new ApiError(404, 'teacherId', 'Teacher not found');
+
+    if (await StudentAssignment.exists({ teacherId, studentId, subject, ...ACTIVE })) {
+        throw new ApiError(409, 'subject', 'This teacher already teaches you this subject');
+    }
+
+    try {
+        const request = await TeacherRequest.create({ studentId, teacherId, subject, message });
+        return formatRequest(await request.populate('studentId teacherId', 'fullname avatar'));
+    } catch (e) {
+        if (e.code === 11000) throw new ApiError(409, 'subject', 'You already have a pending request with this teacher for this subject');
+        throw e;
+    }
+}
+
+// Requests the user sent as a student and received as a teacher, newest first
+async function listRequests(userId, { status } = {}) {
+    const filter = status ? { status } : {};
+    const [incoming, outgoing] = await Promise.all([
+        TeacherRequest.find({ teacherId: userId, ...filter }).sort({ createdAt: -1 }).populate('studentId teacherId', 'fullname avatar'),
+        TeacherRequest.find({ studentId: userId, ...filter }).sort({ createdAt: -1 }).populate('studentId teacherId', 'fullname avatar')
+    ]);
+    return { incoming: incoming.map(formatRequest), outgoing: outgoing.map(formatRequest) };
+}
+
+// Close a pending request the user is allowed to act on; throws if it isn't pending any more
+async function closeRequest(requestId, party, status) {
+    const request = await TeacherRequest.findOneAndUpdate(
+        { _id: requestId, ...party, status: 'pending' },
+        { $set: { status, respondedAt: new Date() } },
+        { new: true }
+    );
+    if (request) return request;
+
+    const existing = await TeacherRequest.findOne({ _id: requestId, ...party });
+    if (!existing) throw new ApiError(404, 'requestId', 'Request not found');
+    throw new ApiError(409, 'requestId', `This request was already ${existing.status}`);
+}
+
+// Teacher accepts or declines a request. Accepting starts the assignment.
+async function respondToRequest(teacherId, requestId, accept) {
+    const request = await closeRequest(requestId, { teacherId }, accept ? 'accepted' : 'declined');
+    let assignment = null;
+    if (accept) {
+        const { studentId, subject } = request;
+        try {
+            assignment = await StudentAssignment.create({ teacherId, studentId, subject, requestId: request._id });
+        } catch (e) {
+            if (e.code !== 11000) throw e;
+            // Already teaching this student the subject
+            assignment = await StudentAssignment.findOne({ teacherId, studentId, subject, ...ACTIVE });
+        }
+        assignment = formatAssignment(await assignment.populate('studentId teacherId', 'fullname avatar'));
+    }
+    await request.populate('studentId teacherId', 'fullname avatar');
+    return { request: formatRequest(request), assignment };
+}
+
+async function cancelRequest(studentId, requestId) {
+    const request = await closeRequest(requestId, { studentId }, 'cancelled');
+    return formatRequest(await request.populate('studentId teacherId', 'fullname avatar'));
+}
+
+// Either side can end an assignment
+async function endAssignment(userId, assignmentId) {
+    const party = { $or: [{ teacherId: userId }, { studentId: userId }] };
+    const assignment = await StudentAssignment.findOneAndUpdate(
+        { _id: assignmentId, ...party, ...ACTIVE },
+        { $set: { status: 'ended', endedAt: new Date(), endedBy: userId } },
+        { new: true }
+    );
+    if (!assignment) {
+        if (await StudentAssignment.exists({ _id: assignmentId, ...party })) {
+            throw new ApiError(409, 'assignmentId', 'This assignment has already ended');
+        }
+        throw new ApiError(404, 'assignmentId', 'Assignment not found');
+    }
+    return formatAssignment(await assignment.populate('studentId teacherId', 'fullname avatar'));
+}
+
+async function listTeachersOf(studentId) {
+    const assignments = await StudentAssignment.find({ studentId, ...ACTIVE })
+        .sort({ assignedAt: -1 })
+        .populate('teacherId', 'fullname avatar state subjects bio rating ratingCount verified');
+    return assignments.filter(a => a.teacherId).map(a => ({
+        assignmentId: a._id,
+        subject: a.subject,
+        assignedAt: a.assignedAt,
+        teacher: formatTeacher(a.teacherId)
+    }));
+}
+
+async function listStudentsOf(teacherId) {
+    const assignments = await StudentAssignment.find({ teacherId, ...ACTIVE })
+        .sort({ assignedAt: -1 })
+        .populate('studentId', 'fullname avatar');
+    return assignments.filter(a => a.studentId).map(a => ({
+        assignmentId: a._id,
+        studentId: a.studentId._id,
+        name: a.studentId.fullname,
+        avatar: a.studentId.avatar || PLACEHOLDER_AVATAR,
+        subject: a.subject,
+        assignedAt: a.assignedAt
+    }));
+}
+
+module.exports = {
+    ACTIVE,
+    applyToTeach,
+    listApplicationsOf,
+    listApplications,
+    reviewApplication,
+    searchTeachers,
+    requestTeacher,
+    listRequests,
+    respondToRequest,
+    cancelRequest,
+    endAssignment,
+    listTeachersOf,
+    listStudentsOf
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { Question, TopicPack, PackDownload } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { normalizeAnswer } = require('./grading.js');
+const { formatQuestion } = require('./quiz.js');
+
+// Topic packs: a topic's published questions, downloaded for studying offline. Answers are
+// only in the pack as salted hashes of their normalized form, so the app can grade offline
+// without them being in it as plain text; the server grades again when answers are synced.
+//
+// A pack's checksum is the SHA-256 of the JSON of the pack without its `checksum` field,
+// and is also its ETag. An answer's hash is sha256(`${salt}:${questionId}:${normalized}`).
+
+const PACK_FORMAT = 1;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const hashAnswer = (salt, questionId, answer) => sha256(`${salt}:${questionId}:${normalizeAnswer(answer)}`);
+
+// Everything a pack is built from, answers included, so editing one makes a new version
+const contentHash = (questions) => sha256(JSON.stringify(questions.map(q => ({
+    ...formatQuestion(q),
+    correctAnswer: q.correctAnswer,
+    acceptedAnswers: q.acceptedAnswers || [],
+    feedback: q.feedback || ''
+}))));
+
+const answersOf = (question) => question.type === 'fill-in-the-blanks'
+    ? [question.correctAnswer, ...(question.acceptedAnswers || [])]
+    : [question.correctAnswer];
+
+const publishedQuestions = (topic) => Question.find({ topic, status: 'published' }).sort({ id: 1 });
+
+// The latest pack version for the questions as they are now, making a new one if they changed
+async function currentVersion(topic, questions) {
+    const hash = contentHash(questions);
+    const latest = await TopicPack.findOne({ topic }).sort({ version: -1 });
+    if (latest && latest.contentHash === hash) {
+        // Versions built before question ids were kept
+        if (!latest.questionIds.length) {
+            latest.questionIds = questions.map(q => q.id);
+            await TopicPack.updateOne({ _id: latest._id }, { $set: { questionIds: latest.questionIds } });
+        }
+        return latest;
+    }
+
+    try {
+        return await TopicPack.create({
+            topic,
+            version: latest ? latest.version + 1 : 1,
+            contentHash: hash,
+            salt: crypto.randomBytes(16).toString('hex'),
+            questionCount: questions.length,
+            questionIds: questions.map(q => q.id)
+        });
+    } catch (e) {
+        // Another request made this version first
+        if (e.code !== 11000) throw e;
+        return TopicPack.findOne({ topic }).sort({ version: -1 });
+    }
+}
+
+// Topics with published questions, and the version of their pack already built (if any)
+async function listTopicPacks() {
+    const topics = await Question.aggregate([
+        { $match: { status: 'published', topic: { $nin: [null, ''] } } },
+        { $group: { _id: '$topic', questionCount: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+    ]);
+    const packs = await TopicPack.aggregate([
+        { $match: { topic: { $in: topics.map(t => t._id) } } },
+        { $sort: { version: -1 } },
+        { $group: { _id: '$topic', version: { $first: '$version' }, builtAt: { $first: '$builtAt' } } }
+    ]);
+    const byTopic = new Map(packs.map(p => [p._id, p]));
+    return topics.map(t => ({
+        topic: t._id,
+        questionCount: t.questionCount,
+        version: byTopic.has(t._id) ? byTopic.get(t._id).version : null,
+        builtAt: byTopic.has(t._id) ? byTopic.get(t._id).builtAt : null
+    }));
+}
+
+// The topic's pack at its current version
+async function exportTopicPack(topic) {
+    const questions = await publishedQuestions(topic);
+    if (!questions.length) throw new ApiError(404, 'topic', 'No questions available for this topic');
+    const pack = await currentVersion(topic, questions);
+
+    const body = {
+        format: PACK_FORMAT,
+        topic,
+        version: pack.version,
+        builtAt: pack.builtAt.toISOString(),
+        hash: { algorithm: 'sha256', salt: pack.salt },
+        questions: questions.map(q => ({
+            ...formatQuestion(q),
+            feedback: q.feedback || '',
+            answerHashes: [...new Set(answersOf(q).filter(a => normalizeAnswer(a)).map(a => hashAnswer(pack.salt, q.id, a)))]
+        }))
+    };
+    return { ...body, checksum: sha256(JSON.stringify(body)) };
+}
+
+// Note that the user has this version of the topic's pack, so answers from it can be synced
+async function recordPackDownload(userId, topic, version) {
+    await PackDownload.updateOne(
+        { userId, topic, version },
+        { $set: { downloadedAt: new Date() } },
+        { upsert: true }
+    ).catch(e => {
+        // Two downloads of the same version at once
+        if (e.code !== 11000) throw e;
+    });
+}
+
+module.exports = {
+    PACK_FORMAT,
+    hashAnswer,
+    listTopicPacks,
+    exportTopicPack,
+    recordPackDownload
+};
@@ -0,0 +1,112 @@
+const axios = require('axios');
+const { Question, Progress, QuizSession } = require('./db.js');
+
+// The AI tutor sits behind a provider: any object with a `name` and
+// `async reply({ message, history, context, signal })` resolving to { text }.
+// `history` is the recent turns as [{ role: 'user' | 'assistant', content }], `context`
+// what the learner is studying (see buildTutorContext), and `signal` an AbortSignal for
+// when the answer is no longer wanted. Providers that can stream also have
+// `stream({ ... })`, an async iterable of text chunks; the others are answered in one piece.
+// TUTOR_PROVIDER=stub answers locally without the Flask service; setTutorProvider()
+// plugs in anything else.
+
+const FLASK_URL = process.env.FLASK_URL || 'https://chatbot-1-fsgx.onrender.com/webhook';
+const RECENT_MISSES = 5;
+const STUB_WORD_DELAY_MS = 40;
+
+// The Flask webhook takes a Dialogflow-style request; history and context ride along with it.
+// It answers in one piece, so there is no stream().
+const flaskProvider = (url) => ({
+    name: 'flask',
+    async reply({ message, history, context, signal }) {
+        const response = await axios.post(url, {
+            queryResult: { queryText: message },
+            history,
+            context
+        }, { signal });
+        return { text: response.data.fulfillmentText || 'No response from AI.' };
+    }
+});
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Local stand-in for tests and development: answers from the context it was given,
+// streaming it a word at a time
+const stubProvider = {
+    name: 'stub',
+    async *stream(request) {
+        const { text } = await this.reply(request);
+        for (const word of text.split(/(?<= )/)) {
+            await sleep(STUB_WORD_DELAY_MS, request.signal);
+            yield word;
+        }
+    },
+    async reply({ message, history, context }) {
+        const lines = [`You said: "${message}".`];
+        if (context.topic) lines.push(`You're studying ${context.topic}.`);
+        const missed = context.recentMistakes[0];
+        if (missed) {
+            lines.push(`Your last mistake was "${missed.prompt}": you answered "${missed.userAnswer}", ` +
+                `the answer is "${missed.correctAnswer}".${missed.feedback ? ` ${missed.feedback}` : ''}`);
+        }
+        lines.push(`(${history.length} earlier messages in this conversation.)`);
+        return { text: lines.join(' ') };
+    }
+};
+
+let provider = process.env.TUTOR_PROVIDER === 'stub' ? stubProvider : flaskProvider(FLASK_URL);
+
+const setTutorProvider = (next) => {
+    provider = next;
+};
+
+const getTutorProvider = () => provider;
+
+// What the tutor should know about the learner: the topic they are working on and the
+// questions they got wrong most recently, with the right answers
+async function buildTutorContext(userId) {
+    const session = await QuizSession.findOne({ userId, status: 'active', mode: { $nin: ['review', 'homework'] } }).sort({ startedAt: -1 });
+    const lastAnswer = session ? null : await Progress.findOne({ userId, topic: { $ne: null } }).sort({ timestamp: -1 });
+    const topic = session ? session.topic : lastAnswer ? lastAnswer.topic : null;
+
+    const misses = await Progress.find({ userId, isCorrect: false, questionId: { $ne: 'manual-lesson' } })
+        .sort({ timestamp: -1 })
+        .limit(RECENT_MISSES);
+    const questions = await Question.find({ id: { $in: misses.map(m => m.questionId) } });
+    const byId = new Map(questions.map(q => [q.id, q]));
+
+    return {
+        topic,
+        recentMistakes: misses.filter(m => byId.has(m.questionId)).map(m => {
+            const question = byId.get(m.questionId);
+            return {
+                questionId: question.id,
+                topic: question.topic,
+                prompt: question.prompt,
+                userAnswer: m.userAnswer,
+                correctAnswer: question.correctAnswer,
+                feedback: question.feedback || '',
+                answeredAt: m.timestamp
+            };
+        })
+    };
+}
+
+module.exports = {
+    flaskProvider,
+    stubProvider,
+    setTutorProvider,
+    getTutorProvider,
+    buildTutorContext
+};
@@ -0,0 +1,12 @@
+// Small helpers shared by the listing and search services
+
+// Shown for users who haven't uploaded an avatar
+const PLACEHOLDER_AVATAR = 'https://via.placeholder.com/50';
+
+// Text typed into a search box, matched literally inside a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    PLACEHOLDER_AVATAR,
+    escapeRegex
+};
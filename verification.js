@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { usersModel, VerificationRequest } = require('./db.js');
+const { ApiError } = require('./errors.js');
+const { getStorage } = require('./storage.js');
+const { detectFileType } = require('./fileTypes.js');
+const { PLACEHOLDER_AVATAR } = require('./util.js');
+
+// Teacher verification: a teacher uploads identity documents, an admin takes the request
+// under review and approves it (the teacher gets the verified badge) or rejects it with a
+// reason, after which the teacher can send a new one.
+//
+//   submitted → under-review → approved | rejected
+//   submitted ──────────────→ approved | rejected
+
+const DOCUMENT_KINDS = ['aadhaar', 'pan', 'other'];
+const DOCUMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// What each reviewer action does: the statuses it applies to and the one it moves to
+const TRANSITIONS = {
+    review: { from: ['submitted'], to: 'under-review' },
+    approve: { from: ['submitted', 'under-review'], to: 'approved' },
+    reject: { from: ['submitted', 'under-review'], to: 'rejected' }
+};
+
+const formatPerson = (user) => user && user._id ? {
+    id: user._id,
+    name: user.fullname,
+    avatar: user.avatar || PLACEHOLDER_AVATAR
+} : null;
+
+const formatVerification = (request) => ({
+    id: request._id,
+    user: formatPerson(request.userId),
+    status: request.status,
+    documents: request.documents.map(d => ({
+        id: d._id,
+        kind: d.kind,
+        originalName: d.originalName,
+        contentType: d.contentType,
+        size: d.size,
+        uploadedAt: d.uploadedAt
+    })),
+    note: request.note,
+    reason: request.reason,
+    reviewer: formatPerson(request.reviewerId),
+    history: request.history.map(h => ({ status: h.status, by: h.by, reason: h.reason, at: h.at })),
+    createdAt: request.createdAt,
+    decidedAt: request.decidedAt
+});
+
+const populateVerification = (query) => query.populate('userId reviewerId', 'fullname avatar');
+
+// A teacher sends their documents ({ kind, buffer, originalName }) for review
+async function submitVerification(userId, files, { note = '' } = {}) {
+    const user = await usersModel.findById(userId).select('role verified');
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    if (user.role !== 'Teacher') throw new ApiError(403, 'role', 'Only teachers can be verified');
+    if (user.verified) throw new ApiError(409, 'verification', 'You are already verified');
+    if (!files.some(f => f.kind === 'aadhaar' || f.kind === 'pan')) {
+        throw new ApiError(400, 'documents', 'Include your Aadhaar or PAN card');
+    }
+    if (await VerificationRequest.exists({ userId, open: true })) {
+        throw new ApiError(409, 'verification', 'You already have a verification request waiting for review');
+    }
+
+    const documents = files.map(file => {
+        const type = detectFileType(file.buffer, DOCUMENT_TYPES);
+        if (!type) throw new ApiError(400, file.kind, 'Documents must be PDF, PNG or JPEG files');
+        if (file.buffer.length > MAX_DOCUMENT_BYTES) throw new ApiError(400, file.kind, 'Documents must be 5 MB or smaller');
+        return { ...file, type };
+    });
+
+    const requestId = new VerificationRequest()._id;
+    const storage = getStorage();
+    const saved = [];
+    try {
+        for (const doc of documents) {
+            const storageKey = `verification/${userId}/${requestId}/${doc.kind}-${crypto.randomBytes(8).toString('hex')}.${doc.type.extension}`;
+            await storage.save(storageKey, doc.buffer, { contentType: doc.type.contentType });
+            saved.push({
+                kind: doc.kind,
+                storageKey,
+                originalName: (doc.originalName || '').slice(0, 200),
+                contentType: doc.type.contentType,
+                size: doc.buffer.length
+            });
+        }
+        const request = await VerificationRequest.create({
+            _id: requestId,
+            userId,
+            documents: saved,
+            note,
+            history: [{ status: 'submitted', by: userId }]
+        });
+        return formatVerification(await populateVerification(VerificationRequest.findById(request._id)));
+    } catch (e) {
+        // Don't keep files for a request that wasn't saved
+        await Promise.all(saved.map(d => storage.remove(d.storageKey).catch(() => {})));
+        if (e.code === 11000) throw new ApiError(409, 'verification', 'You already have a verification request waiting for review');
+        throw e;
+    }
+}
+
+// The user's verified flag and their verification requests, newest first
+async function verificationStatusOf(userId) {
+    const [user, requests] = await Promise.all([
+        usersModel.findById(userId).select('verified verifiedAt'),
+        populateVerification(VerificationRequest.find({ userId }).sort({ createdAt: -1 }))
+    ]);
+    if (!user) throw new ApiError(404, 'user', 'User not found');
+    return { verified: !!user.verified, verifiedAt: user.verifiedAt, requests: requests.map(formatVerification) };
+}
+
+async function listVerifications({ status = 'submitted', page = 1, limit = 20 } = {}) {
+    const filter = status ? { status } : {};
+    const [total, requests] = await Promise.all([
+        VerificationRequest.countDocuments(filter),
+        populateVerification(VerificationRequest.find(filter).sort({ createdAt: 1 }).skip((page - 1) * limit).limit(limit))
+    ]);
+    return { total, page, requests: requests.map(formatVerification) };
+}
+
+// Move a request on with a reviewer action ('review', 'approve' or 'reject' with a reason).
+// Approving gives the teacher the verified badge.
+async function reviewVerification(adminId, requestId, action, reason = '', now = new Date()) {
+    const { from, to } = TRANSITIONS[action];
+    const decided = to === 'approved' || to === 'rejected';
+    const request = await VerificationRequest.findOneAndUpdate(
+        { _id: requestId, status: { $in: from } },
+        {
+            $set: {
+                status: to,
+                reviewerId: adminId,
+                reason: to === 'rejected' ? reason : '',
+                ...(decided ? { open: false, decidedAt: now } : {})
+            },
+            $push: { history: { status: to, by: adminId, reason, at: now } }
+        },
+        { new: true }
+    );
+    if (!request) {
+        const existing = await VerificationRequest.findById(requestId);
+        if (!existing) throw new ApiError(404, 'requestId', 'Verification request not found');
+        throw new ApiError(409, 'requestId', `This request is already ${existing.status}`);
+    }
+
+    if (to === 'approved') {
+        await usersModel.updateOne({ _id: request.userId }, { $set: { verified: true, verifiedAt: now } });
+    }
+    return formatVerification(await populateVerification(VerificationRequest.findById(request._id)));
+}
+
+// One uploaded document, for its owner or an admin
+async function readDocument(userId, isAdmin, requestId, documentId) {
+    const request = await VerificationRequest.findOne(isAdmin ? { _id: requestId } : { _id: requestId, userId });
+    const doc = request && request.documents.id(documentId);
+    if (!doc) throw new ApiError(404, 'documentId', 'Document not found');
+    const body = await getStorage().read(doc.storageKey);
+    return { body, contentType: doc.contentType, filename: `${doc.kind}.${doc.storageKey.split('.').pop()}` };
+}
+
+module.exports = {
+    DOCUMENT_KINDS,
+    MAX_DOCUMENT_BYTES,
+    submitVerification,
+    verificationStatusOf,
+    listVerifications,
+    reviewVerification,
+    readDocument
+};